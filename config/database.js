@@ -19,7 +19,7 @@ async function initDb() {
       CREATE TABLE IF NOT EXISTS stores (
         id SERIAL PRIMARY KEY,
         store_id TEXT UNIQUE NOT NULL,
-        api_key TEXT NOT NULL,
+        api_key TEXT,
         site_url TEXT UNIQUE,
         store_name TEXT,
         admin_email TEXT,
@@ -76,6 +76,77 @@ async function initDb() {
       `ALTER TABLE store_items ADD COLUMN IF NOT EXISTS in_stock BOOLEAN DEFAULT true;`
     );
 
+    // Incremental indexing: hash of the embedded text, so unchanged items
+    // are not re-embedded
+    await pool.query(
+      `ALTER TABLE store_items ADD COLUMN IF NOT EXISTS content_hash TEXT;`
+    );
+    await pool.query(
+      `ALTER TABLE store_items ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT now();`
+    );
+
+    // Structured product attributes used for filtering in chat
+    // (price stays as the display text; price_amount is the parsed number)
+    await pool.query(
+      `ALTER TABLE store_items ADD COLUMN IF NOT EXISTS price_amount NUMERIC(12,2);`
+    );
+    await pool.query(
+      `ALTER TABLE store_items ADD COLUMN IF NOT EXISTS sale_price_amount NUMERIC(12,2);`
+    );
+    await pool.query(
+      `ALTER TABLE store_items ADD COLUMN IF NOT EXISTS currency TEXT;`
+    );
+    await pool.query(
+      `ALTER TABLE store_items ADD COLUMN IF NOT EXISTS sku TEXT;`
+    );
+    await pool.query(
+      `ALTER TABLE store_items ADD COLUMN IF NOT EXISTS categories TEXT[] DEFAULT '{}';`
+    );
+    await pool.query(
+      `ALTER TABLE store_items ADD COLUMN IF NOT EXISTS tags TEXT[] DEFAULT '{}';`
+    );
+    await pool.query(
+      `ALTER TABLE store_items ADD COLUMN IF NOT EXISTS attributes JSONB DEFAULT '{}';`
+    );
+
+    // Product variants (size, color...) with their own price, stock, image
+    await pool.query(
+      `ALTER TABLE store_items ADD COLUMN IF NOT EXISTS variants JSONB DEFAULT '[]';`
+    );
+
+    // Full-text search for hybrid retrieval: exact tokens from title and SKU
+    // (product names, article numbers) plus Swedish and English stemming
+    await pool.query(`
+      ALTER TABLE store_items ADD COLUMN IF NOT EXISTS search_tsv tsvector
+      GENERATED ALWAYS AS (
+        setweight(to_tsvector('simple', coalesce(title, '') || ' ' || coalesce(sku, '')), 'A') ||
+        setweight(to_tsvector('swedish', coalesce(title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+        setweight(to_tsvector('swedish', coalesce(content, '')), 'D') ||
+        setweight(to_tsvector('english', coalesce(content, '')), 'D')
+      ) STORED;
+    `);
+    await pool.query(
+      `CREATE INDEX IF NOT EXISTS idx_store_items_search_tsv ON store_items USING gin (search_tsv);`
+    );
+
+    // Curated Q&A per store, mirrored into store_items (type 'faq')
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS store_faqs (
+        id SERIAL PRIMARY KEY,
+        store_id INTEGER NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+        question TEXT NOT NULL,
+        answer TEXT NOT NULL,
+        url TEXT,
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMPTZ DEFAULT now(),
+        updated_at TIMESTAMPTZ DEFAULT now()
+      );
+    `);
+    await pool.query(
+      `CREATE INDEX IF NOT EXISTS idx_store_faqs_store_id ON store_faqs(store_id);`
+    );
+
     // Store facts table
     await pool.query(`
       CREATE TABLE IF NOT EXISTS store_facts (
@@ -126,6 +197,15 @@ async function initDb() {
       `ALTER TABLE conversations ADD COLUMN IF NOT EXISTS reviewer_notes TEXT;`
     );
 
+    // Rolling summary of turns that no longer fit the chat history budget
+    // (history_summary_until = last conv_messages.id covered)
+    await pool.query(
+      `ALTER TABLE conversations ADD COLUMN IF NOT EXISTS history_summary TEXT;`
+    );
+    await pool.query(
+      `ALTER TABLE conversations ADD COLUMN IF NOT EXISTS history_summary_until INTEGER;`
+    );
+
     // Conversation messages (Phase 2)
     await pool.query(`
       CREATE TABLE IF NOT EXISTS conv_messages (
@@ -186,6 +266,71 @@ async function initDb() {
       );
     `);
 
+    // Card tags the chat couldn't resolve by item ID (fuzzy or unresolved)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS tag_resolutions (
+        id SERIAL PRIMARY KEY,
+        store_id INTEGER NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+        conversation_id INTEGER REFERENCES conversations(id) ON DELETE SET NULL,
+        tag TEXT NOT NULL,
+        method TEXT NOT NULL,
+        resolved_item_id INTEGER REFERENCES store_items(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ DEFAULT now()
+      );
+    `);
+    await pool.query(
+      `CREATE INDEX IF NOT EXISTS idx_tag_resolutions_store_id ON tag_resolutions(store_id, created_at);`
+    );
+
+    // Background indexing jobs - /index-store enqueues, the worker processes
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS index_jobs (
+        id SERIAL PRIMARY KEY,
+        store_id INTEGER NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+        status TEXT NOT NULL DEFAULT 'queued',
+        payload JSONB NOT NULL,
+        attempts INTEGER DEFAULT 0,
+        max_attempts INTEGER DEFAULT 3,
+        total_items INTEGER DEFAULT 0,
+        embedded_items INTEGER DEFAULT 0,
+        failed_items INTEGER DEFAULT 0,
+        result JSONB,
+        last_error TEXT,
+        run_after TIMESTAMPTZ DEFAULT now(),
+        created_at TIMESTAMPTZ DEFAULT now(),
+        started_at TIMESTAMPTZ,
+        finished_at TIMESTAMPTZ,
+        updated_at TIMESTAMPTZ DEFAULT now()
+      );
+    `);
+    await pool.query(
+      `CREATE INDEX IF NOT EXISTS idx_index_jobs_status ON index_jobs(status, run_after);`
+    );
+    await pool.query(
+      `CREATE INDEX IF NOT EXISTS idx_index_jobs_store_id ON index_jobs(store_id, created_at DESC);`
+    );
+    await pool.query(
+      `ALTER TABLE index_jobs ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMPTZ;`
+    );
+    // Payloads are dropped once a job is finished
+    await pool.query(
+      `ALTER TABLE index_jobs ALTER COLUMN payload DROP NOT NULL;`
+    );
+    await pool.query(
+      `UPDATE index_jobs SET payload = NULL WHERE status IN ('completed', 'failed') AND payload IS NOT NULL;`
+    );
+    // At most one running job per store; extra running jobs left by the
+    // old claim query are queued again first
+    await pool.query(`
+      UPDATE index_jobs SET status = 'queued'
+      WHERE status = 'running' AND id NOT IN (
+        SELECT MIN(id) FROM index_jobs WHERE status = 'running' GROUP BY store_id
+      );
+    `);
+    await pool.query(
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_index_jobs_one_running ON index_jobs(store_id) WHERE status = 'running';`
+    );
+
     // =============================================================================
     // HANDOFF TRACKING (Phase 1)
     // =============================================================================
@@ -247,19 +392,20 @@ async function initDb() {
       );
     `);
 
-    // Insert default plans (upsert)
+    // Insert default plans (upsert). Flags an admin has set are kept; only
+    // flags a plan doesn't have yet are added (see plan-features.js)
     await pool.query(`
       INSERT INTO plan_limits (plan_name, display_name, conversations_per_month, price_monthly, features) VALUES
-        ('free', 'Free', 10, 0, '{"analytics": false, "priority_support": false}'),
-        ('starter', 'Starter', 75, 9.00, '{"analytics": true, "priority_support": false}'),
-        ('pro', 'Pro', 500, 29.00, '{"analytics": true, "priority_support": false}'),
-        ('business', 'Business', 1000, 49.00, '{"analytics": true, "priority_support": true}'),
-        ('unlimited', 'Unlimited', NULL, 149.00, '{"analytics": true, "priority_support": true}')
+        ('free', 'Free', 10, 0, '{"analytics": false, "priority_support": false, "streaming": true, "multi_card": false, "custom_faq": false, "export": false}'),
+        ('starter', 'Starter', 75, 9.00, '{"analytics": true, "priority_support": false, "streaming": true, "multi_card": true, "custom_faq": true, "export": false}'),
+        ('pro', 'Pro', 500, 29.00, '{"analytics": true, "priority_support": false, "streaming": true, "multi_card": true, "custom_faq": true, "export": true}'),
+        ('business', 'Business', 1000, 49.00, '{"analytics": true, "priority_support": true, "streaming": true, "multi_card": true, "custom_faq": true, "export": true}'),
+        ('unlimited', 'Unlimited', NULL, 149.00, '{"analytics": true, "priority_support": true, "streaming": true, "multi_card": true, "custom_faq": true, "export": true}')
       ON CONFLICT (plan_name) DO UPDATE SET
         display_name = EXCLUDED.display_name,
         conversations_per_month = EXCLUDED.conversations_per_month,
         price_monthly = EXCLUDED.price_monthly,
-        features = EXCLUDED.features;
+        features = EXCLUDED.features || COALESCE(plan_limits.features, '{}');
     `);
 
     // Usage tracking table
@@ -293,6 +439,62 @@ async function initDb() {
       `CREATE INDEX IF NOT EXISTS idx_stores_license_key_id ON stores(license_key_id);`
     );
 
+    // Publishable key for the chat widget (safe to embed, see widget-auth.js)
+    await pool.query(
+      `ALTER TABLE stores ADD COLUMN IF NOT EXISTS publishable_key TEXT;`
+    );
+    await pool.query(
+      `UPDATE stores SET publishable_key = 'pk_' || md5(random()::text || id::text || clock_timestamp()::text)
+       WHERE publishable_key IS NULL;`
+    );
+    await pool.query(
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_stores_publishable_key ON stores(publishable_key);`
+    );
+
+    // Store API keys - hashed, named and scoped (see api-keys.js)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS store_api_keys (
+        id SERIAL PRIMARY KEY,
+        store_id INTEGER NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+        name TEXT NOT NULL DEFAULT 'default',
+        key_hash TEXT UNIQUE NOT NULL,
+        key_prefix TEXT NOT NULL,
+        scopes TEXT[] NOT NULL DEFAULT '{index,analytics:read,settings:write}',
+        created_at TIMESTAMPTZ DEFAULT now(),
+        last_used_at TIMESTAMPTZ,
+        expires_at TIMESTAMPTZ,
+        revoked_at TIMESTAMPTZ
+      );
+    `);
+    await pool.query(
+      `CREATE INDEX IF NOT EXISTS idx_store_api_keys_store_id ON store_api_keys(store_id);`
+    );
+
+    // Move plaintext stores.api_key values into store_api_keys (hashed the
+    // same way as hashKey() in license.js) and clear them
+    await pool.query(`ALTER TABLE stores ALTER COLUMN api_key DROP NOT NULL;`);
+    await pool.query(`
+      INSERT INTO store_api_keys (store_id, name, key_hash, key_prefix)
+      SELECT id, 'default', encode(sha256(convert_to(api_key, 'UTF8')), 'hex'), left(api_key, 10) || '...'
+      FROM stores WHERE api_key IS NOT NULL
+      ON CONFLICT (key_hash) DO NOTHING;
+    `);
+    await pool.query(
+      `UPDATE stores SET api_key = NULL WHERE api_key IS NOT NULL;`
+    );
+
+    // Request counters (RATE_LIMIT_BACKEND=postgres, see rate-limiter.js)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS rate_limits (
+        key TEXT PRIMARY KEY,
+        count INTEGER NOT NULL DEFAULT 0,
+        window_start TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+    `);
+    await pool.query(
+      `CREATE INDEX IF NOT EXISTS idx_rate_limits_window_start ON rate_limits(window_start);`
+    );
+
     console.log("✅ Database initialized");
   } catch (err) {
     console.error("❌ Database initialization error:", err);
@@ -10,6 +10,8 @@ const cors = require("cors");
 
 // Import configuration
 const { initDb } = require("./config/database");
+const { initVectorStore } = require("./services/vector-store");
+const { initKeywordSearch } = require("./services/retriever");
 
 // Import routes
 const storeRoutes = require("./routes/store");
@@ -26,11 +28,22 @@ const {
   processEndedConversations,
   extractInsightsFromConversation,
 } = require("./services/insight-extractor");
+const { processIndexJobs } = require("./services/index-queue");
+const { cleanupRateLimits } = require("./services/rate-limiter");
 
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 4000;
 
+// Behind a proxy or load balancer, set TRUST_PROXY (e.g. 1) so rate limits
+// see the visitor's IP instead of the proxy's
+if (process.env.TRUST_PROXY) {
+  app.set(
+    "trust proxy",
+    Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY
+  );
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: "10mb" }));
@@ -79,11 +92,18 @@ setInterval(processEndedConversations, 2 * 60 * 1000);
 // Run once on startup (after a short delay)
 setTimeout(processEndedConversations, 30 * 1000);
 
+// Pick up queued indexing jobs every 5 seconds
+setInterval(processIndexJobs, 5 * 1000);
+
+// Drop expired rate limit counters every 10 minutes
+setInterval(cleanupRateLimits, 10 * 60 * 1000);
+
 // =============================================================================
 // START SERVER
 // =============================================================================
 
-initDb();
+// pgvector and pg_trgm setup need the tables to exist first
+initDb().then(initVectorStore).then(initKeywordSearch);
 
 app.listen(PORT, () => {
   console.log(`🚀 RUMI Backend running on http://localhost:${PORT}`);
@@ -15,6 +15,12 @@ const {
   listLicenseKeys,
   getUsageStats,
 } = require("../services/license");
+const {
+  resolveFeatures,
+  validateFeatures,
+  updatePlanFeatures,
+  describeFeatures,
+} = require("../services/plan-features");
 const {
   getQualityStats,
   getFlaggedConversations,
@@ -286,13 +292,44 @@ router.get("/plans", async (req, res) => {
     const result = await pool.query(
       `SELECT * FROM plan_limits WHERE is_active = true ORDER BY conversations_per_month ASC NULLS LAST`
     );
-    return res.json({ ok: true, plans: result.rows });
+    return res.json({
+      ok: true,
+      plans: result.rows.map((plan) => ({
+        ...plan,
+        features: resolveFeatures(plan.features),
+      })),
+      features: describeFeatures(),
+    });
   } catch (err) {
     console.error("Error getting plans:", err);
     return res.status(500).json({ ok: false, error: "Failed to get plans" });
   }
 });
 
+/**
+ * Turn plan features on or off, e.g. { features: { export: true } }
+ * PUT /admin/plans/:plan/features
+ */
+router.put("/plans/:plan/features", async (req, res) => {
+  const { value, error } = validateFeatures(req.body?.features);
+  if (error) {
+    return res.status(400).json({ ok: false, error });
+  }
+
+  try {
+    const plan = await updatePlanFeatures(req.params.plan, value);
+    if (!plan) {
+      return res.status(404).json({ ok: false, error: "Plan not found" });
+    }
+    return res.json({ ok: true, plan });
+  } catch (err) {
+    console.error("Error updating plan features:", err);
+    return res
+      .status(500)
+      .json({ ok: false, error: "Failed to update plan features" });
+  }
+});
+
 // =============================================================================
 // AI QUALITY MONITORING
 // =============================================================================
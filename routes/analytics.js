@@ -1,37 +1,39 @@
 /**
  * Analytics Routes
  *
- * Handles analytics overview, conversations list, and AI queries.
+ * Handles analytics overview, conversations list, handoffs, and AI queries.
  */
 
 const express = require("express");
 const router = express.Router();
 const { pool } = require("../config/database");
-const { openai } = require("../services/embedding");
+const {
+  chatCompletion,
+  ANALYSIS_PROVIDER,
+} = require("../services/llm-provider");
+const { listHandoffs, resolveHandoff } = require("../services/handoff");
+const { getTagResolutionStats } = require("../services/card-resolver");
+const { storeAuth } = require("../services/store-auth");
+const { getStoreSettings } = require("../services/store-settings");
+
+// Insights need the plan's analytics feature; the handoff inbox doesn't
+const analyticsAuth = storeAuth({
+  scope: "analytics:read",
+  feature: "analytics",
+});
+const handoffAuth = storeAuth({ scope: "analytics:read" });
+
+// Messages shown with each handoff
+const HANDOFF_RECENT_MESSAGES = 6;
 
 /**
  * Get analytics overview for a store
  */
-router.get("/overview", async (req, res) => {
-  const { store_id, api_key, days = 30 } = req.query || {};
-
-  if (!store_id || !api_key) {
-    return res
-      .status(400)
-      .json({ ok: false, error: "store_id and api_key are required" });
-  }
+router.get("/overview", analyticsAuth, async (req, res) => {
+  const { days = 30 } = req.query || {};
 
   try {
-    const storeRow = await pool.query(
-      "SELECT id FROM stores WHERE store_id = $1 AND api_key = $2",
-      [store_id, api_key]
-    );
-
-    if (storeRow.rowCount === 0) {
-      return res.status(401).json({ ok: false, error: "Invalid credentials" });
-    }
-
-    const storeDbId = storeRow.rows[0].id;
+    const storeDbId = req.store.id;
     const daysInt = parseInt(days) || 30;
 
     // Get conversation stats
@@ -122,6 +124,9 @@ router.get("/overview", async (req, res) => {
       [storeDbId]
     );
 
+    // Card tags the model wrote that didn't match an item ID
+    const cardTags = await getTagResolutionStats(storeDbId, daysInt);
+
     return res.json({
       ok: true,
       period_days: daysInt,
@@ -169,6 +174,7 @@ router.get("/overview", async (req, res) => {
         date: r.date,
         count: parseInt(r.count),
       })),
+      card_tags: cardTags,
     });
   } catch (err) {
     console.error("Error in /analytics/overview:", err);
@@ -181,26 +187,11 @@ router.get("/overview", async (req, res) => {
 /**
  * Get recent conversations
  */
-router.get("/conversations", async (req, res) => {
-  const { store_id, api_key, limit = 20, offset = 0 } = req.query || {};
-
-  if (!store_id || !api_key) {
-    return res
-      .status(400)
-      .json({ ok: false, error: "store_id and api_key are required" });
-  }
+router.get("/conversations", analyticsAuth, async (req, res) => {
+  const { limit = 20, offset = 0 } = req.query || {};
 
   try {
-    const storeRow = await pool.query(
-      "SELECT id FROM stores WHERE store_id = $1 AND api_key = $2",
-      [store_id, api_key]
-    );
-
-    if (storeRow.rowCount === 0) {
-      return res.status(401).json({ ok: false, error: "Invalid credentials" });
-    }
-
-    const storeDbId = storeRow.rows[0].id;
+    const storeDbId = req.store.id;
     const limitInt = Math.min(parseInt(limit) || 20, 100);
     const offsetInt = parseInt(offset) || 0;
 
@@ -268,32 +259,108 @@ router.get("/conversations", async (req, res) => {
 });
 
 /**
- * Ask AI about customer insights
+ * List conversations handed off to store staff
+ * status: pending (default), resolved or all
  */
-router.post("/ask", async (req, res) => {
-  const { store_id, api_key, question } = req.body || {};
+router.get("/handoffs", handoffAuth, async (req, res) => {
+  const { status = "pending", limit = 50 } = req.query || {};
 
-  if (!store_id || !api_key || !question) {
-    return res
-      .status(400)
-      .json({
-        ok: false,
-        error: "store_id, api_key, and question are required",
-      });
+  if (!["pending", "resolved", "all"].includes(status)) {
+    return res.status(400).json({
+      ok: false,
+      error: 'status must be "pending", "resolved" or "all"',
+    });
   }
 
   try {
-    const storeRow = await pool.query(
-      "SELECT id, store_name FROM stores WHERE store_id = $1 AND api_key = $2",
-      [store_id, api_key]
+    const storeDbId = req.store.id;
+    const limitInt = Math.min(parseInt(limit) || 50, 100);
+
+    const handoffs = await listHandoffs(storeDbId, status, limitInt);
+
+    // Last few messages so staff can pick up where the assistant left off,
+    // for every listed conversation in one query
+    const messages = await pool.query(
+      `SELECT conversation_id, role, content, created_at FROM (
+         SELECT conversation_id, role, content, created_at,
+                ROW_NUMBER() OVER (
+                  PARTITION BY conversation_id ORDER BY created_at DESC
+                ) AS rn
+         FROM conv_messages
+         WHERE conversation_id = ANY($1)
+       ) recent
+       WHERE rn <= $2
+       ORDER BY conversation_id, created_at ASC`,
+      [handoffs.map((h) => h.id), HANDOFF_RECENT_MESSAGES]
     );
 
-    if (storeRow.rowCount === 0) {
-      return res.status(401).json({ ok: false, error: "Invalid credentials" });
+    const messagesByConversation = new Map();
+    for (const { conversation_id, ...message } of messages.rows) {
+      const list = messagesByConversation.get(conversation_id) || [];
+      list.push(message);
+      messagesByConversation.set(conversation_id, list);
     }
 
-    const storeDbId = storeRow.rows[0].id;
-    const storeName = storeRow.rows[0].store_name || "the store";
+    const result = handoffs.map((handoff) => ({
+      conversation_id: handoff.id,
+      session_id: handoff.session_id,
+      reason: handoff.handoff_reason,
+      triggered_at: handoff.triggered_at,
+      resolved_at: handoff.resolved_at,
+      conversation_status: handoff.status,
+      language: handoff.language,
+      message_count: handoff.message_count,
+      recent_messages: messagesByConversation.get(handoff.id) || [],
+    }));
+
+    return res.json({ ok: true, status, handoffs: result });
+  } catch (err) {
+    console.error("Error in /analytics/handoffs:", err);
+    return res.status(500).json({ ok: false, error: "Failed to get handoffs" });
+  }
+});
+
+/**
+ * Mark a handoff as handled by store staff
+ */
+router.post(
+  "/handoffs/:conversation_id/resolve",
+  handoffAuth,
+  async (req, res) => {
+    const conversationId = parseInt(req.params.conversation_id);
+
+    try {
+      const resolved =
+        Number.isInteger(conversationId) &&
+        (await resolveHandoff(req.store.id, conversationId));
+
+      if (!resolved) {
+        return res.status(404).json({ ok: false, error: "Handoff not found" });
+      }
+
+      return res.json({ ok: true, conversation_id: conversationId });
+    } catch (err) {
+      console.error("Error in /analytics/handoffs/resolve:", err);
+      return res
+        .status(500)
+        .json({ ok: false, error: "Failed to resolve handoff" });
+    }
+  }
+);
+
+/**
+ * Ask AI about customer insights
+ */
+router.post("/ask", analyticsAuth, async (req, res) => {
+  const { question } = req.body || {};
+
+  if (!question) {
+    return res.status(400).json({ ok: false, error: "question is required" });
+  }
+
+  try {
+    const storeDbId = req.store.id;
+    const storeName = req.store.store_name || "the store";
 
     // Gather data for AI analysis
     const productInterests = await pool.query(
@@ -446,12 +513,11 @@ ${c.messages}
 }
 `;
 
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o",
-      messages: [
-        {
-          role: "system",
-          content: `You are an expert business analyst helping a store owner understand their customer conversations. 
+    const settings = await getStoreSettings(storeDbId);
+    const { text } = await chatCompletion({
+      provider: settings.analysis_provider || ANALYSIS_PROVIDER,
+      model: settings.analysis_model || undefined,
+      system: `You are an expert business analyst helping a store owner understand their customer conversations. 
 You have access to aggregated insights and sample conversations from their AI chat assistant.
 
 Your role:
@@ -464,19 +530,17 @@ Your role:
 - Focus on business-relevant insights
 
 The store is called "${storeName}".`,
-        },
+      messages: [
         {
           role: "user",
           content: `Here is the customer analytics data:\n${dataContext}\n\n---\n\nStore owner's question: ${question}`,
         },
       ],
       temperature: 0.4,
-      max_tokens: 1000,
+      maxTokens: 1000,
     });
 
-    const answer =
-      completion.choices[0]?.message?.content ||
-      "I couldn't generate an analysis. Please try again.";
+    const answer = text || "I couldn't generate an analysis. Please try again.";
 
     return res.json({
       ok: true,
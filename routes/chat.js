@@ -10,21 +10,22 @@
 const express = require("express");
 const router = express.Router();
 const { pool } = require("../config/database");
+const { embedTexts } = require("../services/embedding");
+const { retrieve } = require("../services/retriever");
+const { buildRetrievalQuery } = require("../services/query-rewriter");
 const {
-  openai,
-  embedTexts,
-  cosineSimilarity,
-} = require("../services/embedding");
-
-// Anthropic Claude client
-const Anthropic = require("@anthropic-ai/sdk");
-const anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
-
-// Which AI to use - set via environment variable, default to Claude
-const AI_PROVIDER = process.env.AI_PROVIDER || "claude";
+  loadConversationHistory,
+  updateHistorySummary,
+} = require("../services/conversation-history");
+const {
+  AI_PROVIDER,
+  chatCompletion,
+  streamChatCompletion,
+} = require("../services/llm-provider");
 const {
   getOrCreateConversation,
   saveConversationMessage,
+  updateConversationLanguage,
   getStoreDbId,
 } = require("../services/conversation-tracker");
 const {
@@ -34,10 +35,50 @@ const {
   incrementConversation,
   incrementMessage,
 } = require("../services/license");
+const { getStoreSettings } = require("../services/store-settings");
+const { resolveFeatures } = require("../services/plan-features");
+const {
+  normalizeLanguage,
+  detectLanguage,
+  t,
+} = require("../services/language");
+const { buildSystemPrompt } = require("../services/prompt-process");
+const { assemblePrompt } = require("../services/prompt-budget");
+const {
+  buildEvidence,
+  verifyAnswer,
+  createStreamVerifier,
+} = require("../services/answer-verifier");
+const { loadStoreFacts } = require("../services/store-facts");
+const {
+  buildFacets,
+  parseQueryFilters,
+  isComparisonQuery,
+  hasFilters,
+  applyProductFilters,
+  sortByPrice,
+  describeFilters,
+} = require("../services/product-filters");
+const {
+  findMatchingVariant,
+  variantLabel,
+} = require("../services/product-variants");
+const {
+  evaluateHandoff,
+  saveHandoffState,
+  buildHandoffAction,
+  buildHandoffInstruction,
+} = require("../services/handoff");
 const {
-  buildSystemPrompt,
-  buildContextMessage,
-} = require("../services/prompt-process");
+  resolveTags,
+  recordTagResolutions,
+} = require("../services/card-resolver");
+const { initSse, sendSseEvent, createTagStripper } = require("../utils/sse");
+const {
+  createWidgetSession,
+  verifyWidgetToken,
+} = require("../services/widget-auth");
+const { rateLimit } = require("../services/rate-limiter");
 
 // ============================================================================
 // DATABASE HELPERS
@@ -51,7 +92,7 @@ async function loadStoreData(storeId) {
     const storeRow = await pool.query(
       `SELECT s.id, s.store_name, s.personality, s.license_key_id,
               lk.is_active as license_active, lk.plan,
-              pl.conversations_per_month as plan_limit
+              pl.conversations_per_month as plan_limit, pl.features
        FROM stores s
        LEFT JOIN license_keys lk ON s.license_key_id = lk.id
        LEFT JOIN plan_limits pl ON lk.plan = pl.plan_name
@@ -64,11 +105,19 @@ async function loadStoreData(storeId) {
     const store = storeRow.rows[0];
     const storeDbId = store.id;
 
+    // Catalog fields only - filters, tags and grounding need every item,
+    // but content and embeddings are fetched for the few that get used
+    // (see loadItemContent and services/vector-store.js)
     const itemsRow = await pool.query(
-      "SELECT type, title, url, image_url, content, embedding, price, in_stock FROM store_items WHERE store_id = $1",
+      `SELECT id, type, title, url, image_url, price, in_stock,
+              price_amount, sale_price_amount, currency, sku, categories,
+              attributes, variants
+       FROM store_items WHERE store_id = $1`,
       [storeDbId]
     );
 
+    const settings = await getStoreSettings(storeDbId);
+
     return {
       id: storeDbId,
       storeId: storeId,
@@ -78,15 +127,24 @@ async function loadStoreData(storeId) {
       licenseActive: store.license_active,
       plan: store.plan,
       planLimit: store.plan_limit,
+      features: resolveFeatures(store.features),
+      settings,
       items: itemsRow.rows.map((r) => ({
+        id: r.id,
         type: r.type,
         title: r.title,
         url: r.url,
         image_url: r.image_url,
-        content: r.content,
-        embedding: r.embedding,
         price: r.price,
         in_stock: r.in_stock,
+        price_amount: r.price_amount === null ? null : Number(r.price_amount),
+        sale_price_amount:
+          r.sale_price_amount === null ? null : Number(r.sale_price_amount),
+        currency: r.currency,
+        sku: r.sku,
+        categories: r.categories || [],
+        attributes: r.attributes || {},
+        variants: r.variants || [],
       })),
     };
   } catch (err) {
@@ -95,6 +153,23 @@ async function loadStoreData(storeId) {
   }
 }
 
+/**
+ * Fill in `content` for the items that go into the prompt
+ */
+async function loadItemContent(storeDbId, items) {
+  const missing = items.filter((item) => item.content === undefined);
+  if (missing.length === 0) return;
+
+  const result = await pool.query(
+    `SELECT id, content FROM store_items WHERE store_id = $1 AND id = ANY($2)`,
+    [storeDbId, missing.map((item) => item.id)]
+  );
+  const content = new Map(result.rows.map((r) => [r.id, r.content]));
+  missing.forEach((item) => {
+    item.content = content.get(item.id) ?? null;
+  });
+}
+
 /**
  * Get current usage for store
  */
@@ -109,57 +184,23 @@ async function getCurrentUsage(licenseKeyId) {
 }
 
 // ============================================================================
-// CONTENT MATCHING (products, pages, blog posts)
+// CHAT PIPELINE
 // ============================================================================
 
 /**
- * Find any content by tag name (fuzzy matching)
- * Searches products first, then pages
+ * Validate the request, load the store and build the prompt.
+ * Returns { error: { status, body } } when the request can't be served.
+ * With `streaming`, the store's plan must include streamed answers.
  */
-function findContentByTag(tagName, items) {
-  const normalizedTag = tagName.toLowerCase().trim();
-
-  // Exact match first (any type)
-  let match = items.find((item) => item.title.toLowerCase() === normalizedTag);
-
-  // Partial match - tag contains title or title contains tag
-  if (!match) {
-    match = items.find(
-      (item) =>
-        item.title.toLowerCase().includes(normalizedTag) ||
-        normalizedTag.includes(item.title.toLowerCase())
-    );
-  }
-
-  // Word-based partial match (for longer titles)
-  if (!match) {
-    const tagWords = normalizedTag.split(/\s+/);
-    match = items.find((item) => {
-      const titleLower = item.title.toLowerCase();
-      // Match if most significant words match
-      const matchingWords = tagWords.filter(
-        (word) => word.length > 3 && titleLower.includes(word)
-      );
-      return matchingWords.length >= Math.min(2, tagWords.length);
-    });
-  }
-
-  return match;
-}
-
-// ============================================================================
-// MAIN CHAT ENDPOINT
-// ============================================================================
-
-router.post("/chat", async (req, res) => {
+async function prepareChat(body, { streaming = false } = {}) {
   let {
     store_id,
     message,
-    history = [],
-    language = "Swedish",
+    history: clientHistory,
+    language,
     session_id,
     device_type,
-  } = req.body || {};
+  } = body || {};
 
   console.log(
     `[Chat] Request - store: ${store_id}, message: "${message?.slice(
@@ -170,16 +211,22 @@ router.post("/chat", async (req, res) => {
 
   // Validate input
   if (!store_id || !message) {
-    return res
-      .status(400)
-      .json({ ok: false, error: "store_id and message are required" });
+    return {
+      error: {
+        status: 400,
+        body: { ok: false, error: "store_id and message are required" },
+      },
+    };
   }
 
   message = String(message).trim();
   if (!message) {
-    return res
-      .status(400)
-      .json({ ok: false, error: "message cannot be empty" });
+    return {
+      error: {
+        status: 400,
+        body: { ok: false, error: "message cannot be empty" },
+      },
+    };
   }
 
   // Load store data
@@ -187,296 +234,581 @@ router.post("/chat", async (req, res) => {
 
   if (!storeData) {
     console.log(`[Chat] Store not found: ${store_id}`);
-    return res.status(400).json({ ok: false, error: "Store not found" });
+    return {
+      error: { status: 400, body: { ok: false, error: "Store not found" } },
+    };
   }
 
   if (!storeData.items?.length) {
-    return res
-      .status(400)
-      .json({ ok: false, error: "Store has no products indexed" });
+    return {
+      error: {
+        status: 400,
+        body: { ok: false, error: "Store has no products indexed" },
+      },
+    };
   }
 
   // License check
   if (!storeData.licenseActive) {
-    return res.status(403).json({
-      ok: false,
-      error: "license_inactive",
-      message: "Store license is not active",
-    });
+    return {
+      error: {
+        status: 403,
+        body: {
+          ok: false,
+          error: "license_inactive",
+          message: "Store license is not active",
+        },
+      },
+    };
   }
 
+  if (streaming && !storeData.features.streaming) {
+    return {
+      error: {
+        status: 403,
+        body: {
+          ok: false,
+          error: "feature_not_available",
+          message: "The store's plan doesn't include streaming; use /chat",
+          feature: "streaming",
+        },
+      },
+    };
+  }
+
+  // Visitor language: explicit parameter, then detection, then store default
+  const requestedLanguage = normalizeLanguage(language);
+  const detectedLanguage = requestedLanguage ? null : detectLanguage(message);
+  let visitorLanguage =
+    requestedLanguage ||
+    detectedLanguage ||
+    storeData.settings.default_language;
+
   // Usage limit check
   if (storeData.planLimit !== null) {
     const currentUsage = await getCurrentUsage(storeData.licenseKeyId);
     if (currentUsage >= storeData.planLimit) {
-      return res.status(403).json({
-        ok: false,
-        error: "limit_reached",
-        message: `Monthly limit reached (${currentUsage}/${storeData.planLimit}).`,
-        show_to_customer:
-          "Chatten är tillfälligt otillgänglig. Vänligen försök igen senare.",
-      });
+      return {
+        error: {
+          status: 403,
+          body: {
+            ok: false,
+            error: "limit_reached",
+            message: `Monthly limit reached (${currentUsage}/${storeData.planLimit}).`,
+            show_to_customer: t(visitorLanguage, "chat_unavailable"),
+          },
+        },
+      };
     }
   }
 
-  try {
-    // ========== CONVERSATION TRACKING ==========
-    const conversation = await getOrCreateConversation(
-      storeData.id,
-      session_id,
-      device_type
-    );
+  // ========== CONVERSATION TRACKING ==========
+  const conversation = await getOrCreateConversation(
+    storeData.id,
+    session_id,
+    visitorLanguage,
+    device_type
+  );
 
-    // Increment usage if new conversation
-    if (conversation.isNew) {
-      await incrementConversation(storeData.licenseKeyId);
-    }
-    await incrementMessage(storeData.licenseKeyId);
+  // Keep the conversation's language unless this message tells us otherwise
+  if (!requestedLanguage && !detectedLanguage && conversation.language) {
+    visitorLanguage = conversation.language;
+  } else if (conversation.language !== visitorLanguage) {
+    await updateConversationLanguage(conversation.id, visitorLanguage);
+  }
 
-    // Save user message
-    await saveConversationMessage(conversation.id, "user", message);
+  // Increment usage if new conversation
+  if (conversation.isNew) {
+    await incrementConversation(storeData.licenseKeyId);
+  }
+  await incrementMessage(storeData.licenseKeyId);
+
+  // Earlier turns come from conv_messages, not the client (before this
+  // message is saved)
+  const history = await loadConversationHistory(
+    conversation,
+    storeData.settings,
+    clientHistory
+  );
 
-    // ========== RAG: Find relevant products ==========
-    const [queryVector] = await embedTexts([message]);
+  // Save user message
+  await saveConversationMessage(conversation.id, "user", message);
 
-    // Detect comparative/superlative queries that need price or size context
-    const priceQuery =
-      /dyrast|billigast|dyr|billig|expensive|cheap|pris|price|kostar/i.test(
-        message
-      );
-    const sizeQuery =
-      /störst|minst|större|mindre|biggest|smallest|bigger|smaller|stor|liten/i.test(
-        message
-      );
-    const comparativeQuery = priceQuery || sizeQuery;
-
-    const scored = storeData.items
-      .filter((item) => item.type !== "product" || item.in_stock !== false)
-      .map((item) => ({
-        item,
-        score: cosineSimilarity(queryVector, item.embedding),
-      }))
-      .sort((a, b) => b.score - a.score);
-
-    let relevantProducts;
-
-    if (comparativeQuery) {
-      // For comparative queries, include ALL products so AI can reason about price/size
-      relevantProducts = scored
-        .filter((s) => s.item.type === "product")
-        .sort((a, b) => {
-          // Sort by price for price queries
-          if (priceQuery) {
-            const priceA =
-              parseFloat(String(a.item.price || "0").replace(/[^\d]/g, "")) ||
-              0;
-            const priceB =
-              parseFloat(String(b.item.price || "0").replace(/[^\d]/g, "")) ||
-              0;
-            return priceB - priceA; // Highest first
-          }
-          return b.score - a.score;
-        });
-      console.log(
-        `[Chat] Comparative query detected - including all ${relevantProducts.length} products`
-      );
-    } else {
-      relevantProducts = scored
-        .filter((s) => s.item.type === "product")
-        .slice(0, 8);
+  // ========== HANDOFF: asked for a human, or stuck ==========
+  const handoffCheck = evaluateHandoff(conversation.handoff_tracker, message);
+  await saveHandoffState(
+    conversation.id,
+    handoffCheck.tracker,
+    handoffCheck.reason
+  );
+  const handoff = handoffCheck.reason
+    ? await buildHandoffAction(
+        storeData.id,
+        handoffCheck.reason,
+        visitorLanguage
+      )
+    : null;
+
+  // ========== RAG: Find relevant products ==========
+  // Follow-ups ("in a bigger size?") are searched together with what
+  // they refer to
+  const retrievalQuery = buildRetrievalQuery(message, history.recent);
+  if (retrievalQuery.rewritten) {
+    console.log(
+      `[Chat] Retrieval query (${retrievalQuery.context}): "${retrievalQuery.query}"`
+    );
+  }
+  const [queryVector] = await embedTexts([retrievalQuery.query]);
+
+  // Structured filters ("under 300 kr", "in blue", "cheapest") narrow the
+  // products before semantic ranking. If nothing matches, fall back to all.
+  const inStockItems = storeData.items.filter(
+    (item) => item.type !== "product" || item.in_stock !== false
+  );
+  const filters = parseQueryFilters(message, buildFacets(inStockItems));
+  let candidates = inStockItems;
+  let filtersApplied = false;
+
+  if (hasFilters(filters)) {
+    const filtered = applyProductFilters(inStockItems, filters);
+    if (filtered.some((item) => item.type === "product")) {
+      candidates = filtered;
+      filtersApplied = true;
     }
+    console.log(
+      `[Chat] Filters: ${describeFilters(filters).join(", ")} - ${
+        filtersApplied ? "applied" : "no matches, ignored"
+      }`
+    );
+  }
 
-    // Detect page/info related queries
-    const pageQuery =
-      /shipping|deliver|return|policy|about|contact|blog|article|info|faq|hur|villkor|frakt|leverans|retur|om oss|kontakt|porto|skicka|skickas|kostar det|vad kostar|pris på frakt|kostnad|betalning|betala|payment|cost|price|köpvillkor|terms|läs|read|artikel|inlägg|post|ängla|angel/i.test(
-        message
-      );
+  // Hybrid keyword + semantic ranking (see services/retriever.js)
+  const { results: scored, keywordMatches } = await retrieve(
+    storeData.id,
+    candidates,
+    retrievalQuery.query,
+    queryVector,
+    storeData.settings
+  );
 
-    // Keywords to match in page titles for shipping/policy questions
-    const policyKeywords =
-      /köpvillkor|villkor|frakt|leverans|shipping|policy|faq|retur|return|betalning|payment/i;
+  let scoredProducts = scored.filter((s) => s.item.type === "product");
+  if (filters.sort) {
+    scoredProducts = sortByPrice(scoredProducts, filters.sort);
+  }
+  const relevantProducts = scoredProducts.slice(
+    0,
+    storeData.settings.rag_product_count
+  );
 
-    let relevantPages;
-    if (pageQuery) {
-      // First, find pages that match by title (most relevant for policy questions)
-      const titleMatchedPages = scored
+  // Curated FAQs that match closely go first in the context (if the plan
+  // includes them)
+  const relevantFaqs = storeData.features.custom_faq
+    ? scored
         .filter(
-          (s) => s.item.type !== "product" && policyKeywords.test(s.item.title)
+          (s) =>
+            s.item.type === "faq" && s.score >= storeData.settings.faq_min_score
         )
-        .slice(0, 3);
+        .slice(0, 3)
+    : [];
+
+  // Pages, blog posts and articles that score well enough to help
+  const relevantPages = scored
+    .filter(
+      (s) =>
+        s.item.type !== "product" &&
+        s.item.type !== "faq" &&
+        s.score >= storeData.settings.page_min_score
+    )
+    .slice(0, 5);
 
-      // Then add semantically matched pages/blogs/articles
-      const semanticPages = scored
-        .filter(
-          (s) => s.item.type !== "product" && !policyKeywords.test(s.item.title)
-        )
-        .slice(0, 4);
+  console.log(
+    `[Chat] RAG: ${relevantProducts.length} products, ${relevantPages.length} pages, ${relevantFaqs.length} FAQs (${keywordMatches} keyword matches)`
+  );
+  if (relevantPages.length > 0) {
+    console.log(`[Chat] Pages in context:`);
+    relevantPages.forEach((p) =>
+      console.log(`  - ${p.item.title} (score: ${p.score.toFixed(3)})`)
+    );
+  }
 
-      relevantPages = [...titleMatchedPages, ...semanticPages];
-      console.log(
-        `[Chat] Page query detected - ${titleMatchedPages.length} title matches, ${semanticPages.length} semantic:`
-      );
-      relevantPages.forEach((p) =>
-        console.log(
-          `  - ${p.item.title} (type: ${p.item.type}, score: ${p.score.toFixed(
-            3
-          )})`
-        )
-      );
-    } else {
-      // Include any non-product content (pages, blogs, articles)
-      relevantPages = scored
-        .filter((s) => s.item.type !== "product" && s.score >= 0.25)
-        .slice(0, 5);
-    }
+  await loadItemContent(
+    storeData.id,
+    [...relevantProducts, ...relevantFaqs, ...relevantPages].map((r) => r.item)
+  );
 
+  // ========== BUILD PROMPT ==========
+  const productTitles = [
+    ...new Set(
+      storeData.items
+        .filter((item) => item.type === "product")
+        .map((item) => item.title)
+    ),
+  ];
+  const storeProductSummary = productTitles.slice(0, 15).join(", ");
+
+  let systemPrompt = buildSystemPrompt(
+    storeData.storeName,
+    storeProductSummary,
+    storeData.personality,
+    visitorLanguage,
+    getMaxCards(storeData)
+  );
+  if (handoffCheck.reason) {
+    systemPrompt += buildHandoffInstruction(handoffCheck.reason, handoff);
+  }
+
+  // Contact details and policies are small, so they always go along
+  const storeFacts = await loadStoreFacts(storeData.id);
+
+  // Fit everything into the prompt token budget (see services/prompt-budget.js)
+  const prompt = assemblePrompt(
+    {
+      systemPrompt,
+      message,
+      facts: storeFacts,
+      faqs: relevantFaqs,
+      products: relevantProducts,
+      pages: relevantPages,
+      history,
+    },
+    storeData.settings.prompt_token_budget
+  );
+  if (prompt.budget.products_dropped || prompt.budget.pages_dropped) {
     console.log(
-      `[Chat] RAG: ${relevantProducts.length} products, ${relevantPages.length} pages`
+      `[Chat] Prompt budget: dropped ${prompt.budget.products_dropped} products, ${prompt.budget.pages_dropped} pages`
     );
-    if (relevantPages.length > 0) {
-      console.log(`[Chat] Pages in context:`);
-      relevantPages.forEach((p) =>
-        console.log(`  - ${p.item.title} (score: ${p.score.toFixed(3)})`)
-      );
-    }
+  }
+
+  return {
+    storeData,
+    conversation,
+    message,
+    history,
+    language: visitorLanguage,
+    systemPrompt,
+    prompt,
+    relevantProducts: prompt.products,
+    relevantPages: prompt.pages,
+    relevantFaqs,
+    keywordMatches,
+    retrievalQuery,
+    storeFacts,
+    queryFilters: filters,
+    filters: describeFilters(filters),
+    filtersApplied,
+    handoff,
+  };
+}
+
+/**
+ * Build the provider-neutral request for the current turn
+ */
+function buildAiRequest(chat) {
+  const { storeData, systemPrompt, prompt } = chat;
+  const { settings } = storeData;
+
+  return {
+    provider: settings.ai_provider || AI_PROVIDER,
+    model: settings.chat_model || undefined,
+    system: systemPrompt,
+    context: prompt.context,
+    messages: prompt.messages,
+    temperature: settings.temperature,
+    maxTokens: settings.max_tokens,
+  };
+}
+
+/**
+ * Get the complete answer from the AI in one call
+ */
+async function generateAnswer(chat) {
+  const { text, provider } = await chatCompletion(buildAiRequest(chat));
+  console.log(`[Chat] ${provider} response received`);
+  return text || t(chat.language, "fallback_answer");
+}
+
+/**
+ * Stream the answer from the AI, calling onDelta for each text fragment.
+ * Resolves with the full raw answer (tags included).
+ */
+async function streamAnswer(chat, onDelta) {
+  const { text, provider } = await streamChatCompletion(
+    buildAiRequest(chat),
+    onDelta
+  );
+  console.log(`[Chat] ${provider} stream completed`);
+  return text || t(chat.language, "fallback_answer");
+}
+
+/**
+ * Cards allowed per answer for the store's card mode and plan
+ */
+function getMaxCards(storeData) {
+  const { settings, features } = storeData;
+  return features.multi_card && settings.card_mode === "multiple"
+    ? settings.max_cards
+    : 1;
+}
+
+/**
+ * Build the widget card for a matched item. Products show the variant the
+ * visitor asked about ("the blue one in M"); comparison cards also carry
+ * the fields the widget lays out side by side.
+ */
+function buildContentCard(item, queryFilters, withComparison) {
+  const isProduct = item.type === "product";
+  const variant = isProduct ? findMatchingVariant(item, queryFilters) : null;
+
+  const card = {
+    type: item.type, // "product" or "page"
+    title: item.title,
+    url: variant?.url || item.url,
+    image_url: variant?.image_url || item.image_url || null,
+    price: isProduct ? variant?.price || item.price || null : null,
+    variant: variant
+      ? {
+          id: variant.id,
+          sku: variant.sku,
+          label: variantLabel(variant),
+          attributes: variant.attributes,
+          in_stock: variant.in_stock,
+        }
+      : null,
+  };
+
+  if (withComparison && isProduct) {
+    card.comparison = {
+      price_amount: item.price_amount,
+      sale_price_amount: item.sale_price_amount,
+      currency: item.currency || null,
+      colors: item.attributes?.colors || [],
+      sizes: item.attributes?.sizes || [],
+      categories: item.categories || [],
+      in_stock: variant ? variant.in_stock : item.in_stock !== false,
+    };
+  }
+
+  return card;
+}
 
-    // ========== BUILD PROMPT ==========
-    const productTitles = [
-      ...new Set(
-        storeData.items
-          .filter((item) => item.type === "product")
-          .map((item) => item.title)
-      ),
-    ];
-    const storeProductSummary = productTitles.slice(0, 15).join(", ");
-
-    const systemPrompt = buildSystemPrompt(
-      storeData.storeName,
-      storeProductSummary
+/**
+ * What the answer may state (see services/answer-verifier.js)
+ */
+function buildChatEvidence(chat) {
+  return buildEvidence({
+    context: chat.prompt.context,
+    messages: chat.prompt.messages,
+    items: chat.storeData.items,
+    names: [chat.storeData.storeName],
+  });
+}
+
+/**
+ * Strip card tags from the answer, resolve content cards and save the
+ * assistant message. Returns the response payload for the widget.
+ */
+async function finalizeAnswer(chat, rawAnswer) {
+  const { storeData, conversation, relevantProducts, relevantPages } = chat;
+
+  // ========== EXTRACT PRODUCT TAGS ==========
+  const tagMatches = rawAnswer.match(/\{\{([^}]+)\}\}/g) || [];
+  const taggedProductNames = tagMatches.map((tag) =>
+    tag.replace(/\{\{|\}\}/g, "").trim()
+  );
+
+  const resolutions = resolveTags(taggedProductNames, storeData.items);
+  recordTagResolutions(storeData.id, conversation.id, resolutions);
+
+  // ========== GROUNDING CHECK ==========
+  // Prices, policies and contact details must come from what the model
+  // was given (see services/answer-verifier.js)
+  const grounding = verifyAnswer(rawAnswer, {
+    mode: storeData.settings.grounding_mode,
+    language: chat.language,
+    evidence: buildChatEvidence(chat),
+    unresolvedTags: resolutions
+      .filter((r) => r.method === "unresolved")
+      .map((r) => r.tag),
+  });
+  if (grounding.issues.length > 0) {
+    console.log(
+      `[Chat] Grounding: ${grounding.action} - ${grounding.issues
+        .map((i) => `${i.type}: ${i.claim}`)
+        .join(", ")}`
     );
+  }
 
-    // ========== CALL AI ==========
-    let rawAnswer;
-
-    if (AI_PROVIDER === "claude") {
-      // Claude API - system prompt is separate, combine with context
-      let fullSystemPrompt = systemPrompt;
-      if (relevantProducts.length > 0 || relevantPages.length > 0) {
-        const contextMessage = buildContextMessage(
-          relevantProducts,
-          relevantPages
-        );
-        fullSystemPrompt += "\n\n" + contextMessage;
-      }
+  // Remove tags from displayed answer
+  const answer = grounding.answer.replace(/\s*\{\{[^}]+\}\}/g, "").trim();
 
-      // Build messages for Claude (no system messages in array)
-      const claudeMessages = [];
-      if (history && history.length > 0) {
-        history.forEach((turn) => {
-          claudeMessages.push({ role: turn.role, content: turn.content });
-        });
-      }
-      claudeMessages.push({ role: "user", content: message });
-
-      const response = await anthropic.messages.create({
-        model: "claude-sonnet-4-20250514",
-        max_tokens: 500,
-        system: fullSystemPrompt,
-        messages: claudeMessages,
-      });
-
-      rawAnswer =
-        response.content[0]?.text || "Sorry, I couldn't generate a response.";
-      console.log(`[Chat] Claude response received`);
-    } else {
-      // OpenAI API
-      const messages = [{ role: "system", content: systemPrompt }];
-
-      if (history && history.length > 0) {
-        history.forEach((turn) => {
-          messages.push({ role: turn.role, content: turn.content });
-        });
-      }
-      messages.push({ role: "user", content: message });
-
-      if (relevantProducts.length > 0 || relevantPages.length > 0) {
-        const contextMessage = buildContextMessage(
-          relevantProducts,
-          relevantPages
-        );
-        messages.push({ role: "system", content: contextMessage });
-      }
+  // ========== BUILD CONTENT CARDS (products, pages, blog posts) ==========
+  // Tagged items still in the answer, in order, deduplicated, capped by the
+  // card setting
+  const maxCards = getMaxCards(storeData);
+  const remainingTags = new Set(
+    (grounding.answer.match(/\{\{([^}]+)\}\}/g) || []).map((tag) =>
+      tag.replace(/\{\{|\}\}/g, "").trim()
+    )
+  );
 
-      const completion = await openai.chat.completions.create({
-        model: "gpt-4o",
-        messages,
-        temperature: 0.7,
-        max_tokens: 500,
-      });
-
-      rawAnswer =
-        completion.choices[0]?.message?.content ||
-        "Sorry, I couldn't generate a response.";
-      console.log(`[Chat] OpenAI response received`);
+  const matchedItems = [];
+  for (const { tag, item } of resolutions) {
+    if (!remainingTags.has(tag)) continue;
+    if (item && !matchedItems.includes(item)) {
+      matchedItems.push(item);
     }
+    if (matchedItems.length >= maxCards) break;
+  }
 
-    // ========== EXTRACT PRODUCT TAGS ==========
-    const tagMatches = rawAnswer.match(/\{\{([^}]+)\}\}/g) || [];
-    const taggedProductNames = tagMatches.map((tag) =>
-      tag.replace(/\{\{|\}\}/g, "").trim()
+  const productCount = matchedItems.filter((i) => i.type === "product").length;
+  let cardLayout = matchedItems.length > 1 ? "carousel" : "single";
+  if (productCount > 1 && isComparisonQuery(chat.message)) {
+    cardLayout = "comparison";
+  }
+
+  const contentCards = matchedItems.map((item) =>
+    buildContentCard(item, chat.queryFilters, cardLayout === "comparison")
+  );
+
+  // ========== SAVE ==========
+  await saveConversationMessage(
+    conversation.id,
+    "assistant",
+    answer,
+    contentCards.map((p) => p.title)
+  );
+
+  // Background: fold turns that fell out of the history budget into the
+  // conversation summary for the next message
+  updateHistorySummary(conversation, chat.history, storeData.settings);
+
+  console.log(`[Chat] Response ready, ${contentCards.length} content cards`);
+
+  return {
+    answer,
+    product_cards: contentCards, // Keep name for backward compatibility
+    card_layout: cardLayout, // "single", "carousel" or "comparison"
+    handoff: chat.handoff, // Contact options when the visitor needs a human
+    answer_replaced: grounding.action !== "none", // Grounding changed the answer
+    debug: {
+      ai_provider: storeData.settings.ai_provider || AI_PROVIDER,
+      language: chat.language,
+      products_in_context: relevantProducts.length,
+      pages_in_context: relevantPages.length,
+      history: {
+        source: chat.history.source,
+        turns: chat.history.messages.length,
+        tokens: chat.history.tokens,
+        summarized: Boolean(chat.history.summary),
+      },
+      prompt_budget: chat.prompt.budget,
+      retrieval_query: chat.retrievalQuery.query,
+      query_rewritten: chat.retrievalQuery.rewritten,
+      keyword_matches: chat.keywordMatches,
+      facts_in_context: chat.storeFacts.length,
+      faqs_in_context: chat.relevantFaqs.length,
+      filters: chat.filters,
+      filters_applied: chat.filtersApplied,
+      pages_found: relevantPages.map((p) => `${p.item.title} (${p.item.type})`),
+      tags_found: resolutions.map((r) => `${r.tag} (${r.method})`),
+      cards_matched: contentCards.length,
+      grounding: {
+        mode: storeData.settings.grounding_mode,
+        action: grounding.action,
+        issues: grounding.issues,
+      },
+    },
+  };
+}
+
+// ============================================================================
+// WIDGET SESSIONS
+// ============================================================================
+
+/**
+ * Widget token from the Authorization header or the body
+ */
+function getWidgetToken(req) {
+  const header = req.headers.authorization || "";
+  return header.startsWith("Bearer ")
+    ? header.slice(7)
+    : req.body?.widget_token;
+}
+
+/**
+ * Start a widget session
+ * POST /widget/session { publishable_key, widget_token? }
+ *
+ * Must be called from the store's website (Origin header). Returns a
+ * short-lived token and a new session_id. Send the token with /chat and
+ * /end-conversation, either as "Authorization: Bearer <token>" or as
+ * widget_token in the body. Call again with the current token (header or
+ * body) to renew it and keep the session.
+ */
+router.post("/widget/session", rateLimit(), async (req, res) => {
+  try {
+    const result = await createWidgetSession(
+      req.body?.publishable_key,
+      req.headers.origin,
+      getWidgetToken(req)
     );
+    if (result.error) {
+      return res.status(result.error.status).json(result.error.body);
+    }
 
-    // Remove tags from displayed answer
-    const answer = rawAnswer.replace(/\s*\{\{[^}]+\}\}/g, "").trim();
+    return res.json({ ok: true, ...result.session });
+  } catch (err) {
+    console.error("Error in /widget/session:", err);
+    return res
+      .status(500)
+      .json({ ok: false, error: "Failed to start widget session" });
+  }
+});
 
-    // ========== BUILD CONTENT CARDS (products, pages, blog posts) ==========
-    let contentCards = [];
+/**
+ * Require a valid widget session token. The store and visitor session come
+ * from the token, never from the body.
+ */
+function widgetAuth(req, res, next) {
+  const check = verifyWidgetToken(getWidgetToken(req), req.headers.origin);
+  if (!check.valid) {
+    return res
+      .status(401)
+      .json({ ok: false, error: check.error, message: check.message });
+  }
 
-    if (taggedProductNames.length > 0) {
-      // Only show first tagged content (one at a time)
-      const matchedContent = findContentByTag(
-        taggedProductNames[0],
-        storeData.items
-      );
-      if (matchedContent) {
-        contentCards.push({
-          type: matchedContent.type, // "product" or "page"
-          title: matchedContent.title,
-          url: matchedContent.url,
-          image_url: matchedContent.image_url || null,
-          price:
-            matchedContent.type === "product"
-              ? matchedContent.price || null
-              : null,
-        });
-      }
+  req.body = { ...req.body, ...check.session };
+  next();
+}
+
+// Chat requests count per IP, visitor session and store
+const chatLimit = rateLimit({
+  scopes: ["ip", "session", "store"],
+  checkMessage: true,
+});
+
+// ============================================================================
+// MAIN CHAT ENDPOINT
+// ============================================================================
+
+router.post("/chat", widgetAuth, chatLimit, async (req, res) => {
+  if (req.body?.stream === true) {
+    return handleChatStream(req, res);
+  }
+
+  try {
+    const chat = await prepareChat(req.body);
+    if (chat.error) {
+      return res.status(chat.error.status).json(chat.error.body);
     }
 
+    // ========== CALL AI ==========
+    const rawAnswer = await generateAnswer(chat);
+
     // ========== SAVE & RESPOND ==========
-    await saveConversationMessage(
-      conversation.id,
-      "assistant",
-      answer,
-      contentCards.map((p) => p.title)
-    );
+    const result = await finalizeAnswer(chat, rawAnswer);
 
-    console.log(`[Chat] Response ready, ${contentCards.length} content cards`);
-
-    return res.json({
-      ok: true,
-      answer,
-      product_cards: contentCards, // Keep name for backward compatibility
-      debug: {
-        ai_provider: AI_PROVIDER,
-        products_in_context: relevantProducts.length,
-        pages_in_context: relevantPages.length,
-        pages_found: relevantPages.map(
-          (p) => `${p.item.title} (${p.item.type})`
-        ),
-        tags_found: taggedProductNames,
-        cards_matched: contentCards.length,
-      },
-    });
+    return res.json({ ok: true, ...result });
   } catch (err) {
     console.error("[Chat] Error:", err);
     return res
@@ -485,11 +817,90 @@ router.post("/chat", async (req, res) => {
   }
 });
 
+// ============================================================================
+// STREAMING CHAT ENDPOINT (Server-Sent Events)
+// ============================================================================
+
+/**
+ * Same request body as /chat. Emits:
+ *   event: delta  { text }                                       - answer fragment, tags stripped
+ *   event: done   { ok, answer, product_cards, card_layout, ... }  - final payload
+ * Deltas are grounding-checked before they are sent: unsupported sentences
+ * are left out (rewrite), or nothing is sent until the whole answer is
+ * checked (replace). The streamed text matches done.answer;
+ * done.answer_replaced tells whether the check changed it.
+ *   event: error  { ok: false, error }                           - generation failed
+ * Validation errors are returned as plain JSON before the stream opens.
+ */
+async function handleChatStream(req, res) {
+  let chat;
+  try {
+    chat = await prepareChat(req.body, { streaming: true });
+  } catch (err) {
+    console.error("[Chat] Error preparing stream:", err);
+    return res
+      .status(500)
+      .json({ ok: false, error: "Failed to generate response" });
+  }
+
+  if (chat.error) {
+    return res.status(chat.error.status).json(chat.error.body);
+  }
+
+  initSse(res);
+
+  // Keep generating after a disconnect so the answer is still saved
+  let clientClosed = false;
+  res.on("close", () => {
+    clientClosed = true;
+  });
+
+  const stripper = createTagStripper();
+  const sendDelta = (text) => {
+    if (text && !clientClosed) {
+      sendSseEvent(res, "delta", { text });
+    }
+  };
+
+  const { storeData } = chat;
+  const verifier = createStreamVerifier({
+    mode: storeData.settings.grounding_mode,
+    language: chat.language,
+    evidence: buildChatEvidence(chat),
+    findUnresolvedTags: (tags) =>
+      resolveTags(tags, storeData.items)
+        .filter((r) => r.method === "unresolved")
+        .map((r) => r.tag),
+  });
+
+  try {
+    const rawAnswer = await streamAnswer(chat, (fragment) =>
+      sendDelta(stripper.push(verifier.push(fragment)))
+    );
+    sendDelta(stripper.push(verifier.flush()));
+    sendDelta(stripper.flush());
+
+    const result = await finalizeAnswer(chat, rawAnswer);
+    sendSseEvent(res, "done", { ok: true, ...result });
+  } catch (err) {
+    console.error("[Chat] Stream error:", err);
+    sendSseEvent(res, "error", {
+      ok: false,
+      error: "Failed to generate response",
+      show_to_customer: t(chat.language, "chat_error"),
+    });
+  }
+
+  res.end();
+}
+
+router.post("/chat/stream", widgetAuth, chatLimit, handleChatStream);
+
 // ============================================================================
 // END CONVERSATION ENDPOINT
 // ============================================================================
 
-router.post("/end-conversation", async (req, res) => {
+router.post("/end-conversation", widgetAuth, rateLimit(), async (req, res) => {
   const { store_id, session_id } = req.body || {};
 
   if (!store_id || !session_id) {
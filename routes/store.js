@@ -1,25 +1,58 @@
 /**
  * Store Routes
  *
- * Handles store registration, indexing, and settings.
- * All routes require a valid license key.
+ * Handles store registration, indexing, FAQs, settings, and API keys.
+ * Registration requires a valid license key; the other routes a store
+ * API key with the right scope (see services/store-auth.js).
  */
 
 const express = require("express");
 const router = express.Router();
 const { pool } = require("../config/database");
-const { generateStoreId, generateApiKey } = require("../utils/helpers");
+const { generateStoreId, generatePublishableKey } = require("../utils/helpers");
+const { indexStoreContent, deleteItems } = require("../services/indexer");
 const {
-  embedTexts,
-  buildItemsForEmbedding,
-  extractFactsFromText,
-} = require("../services/embedding");
+  enqueueIndexJob,
+  getIndexJob,
+  getLatestIndexJob,
+} = require("../services/index-queue");
 const {
   validateLicenseKey,
   getLicenseKeyId,
   linkStoreToLicense,
   getUsageStats,
 } = require("../services/license");
+const {
+  getStoreSettings,
+  updateStoreSettings,
+  describeSettings,
+} = require("../services/store-settings");
+const { validatePersonality } = require("../services/personality");
+const {
+  validateApiKeyInput,
+  getMissingScopes,
+  validateGraceHours,
+  createApiKey,
+  listApiKeys,
+  getApiKey,
+  rotateApiKey,
+  issueNamedApiKey,
+  revokeApiKey,
+} = require("../services/api-keys");
+const { storeAuth } = require("../services/store-auth");
+const {
+  validateFaq,
+  listFaqs,
+  createFaq,
+  updateFaq,
+  deleteFaq,
+  getFaqSuggestions,
+} = require("../services/faqs");
+
+// Store owner routes by API key scope
+const indexAuth = storeAuth({ scope: "index" });
+const faqAuth = storeAuth({ scope: "index", feature: "custom_faq" });
+const settingsAuth = storeAuth({ scope: "settings:write" });
 
 /**
  * Register a new store
@@ -56,11 +89,28 @@ router.post("/register-store", async (req, res) => {
       .json({ ok: false, error: "site_url and admin_email are required" });
   }
 
+  // Older plugins send their own personality keys - drop those rather than
+  // failing the registration
+  const personalityCheck = validatePersonality(personality, {
+    ignoreUnknown: true,
+  });
+  if (!personalityCheck.valid) {
+    return res.status(400).json({
+      ok: false,
+      error: "invalid_personality",
+      details: personalityCheck.errors,
+    });
+  }
+  if (personalityCheck.ignored.length > 0) {
+    const ignored = personalityCheck.ignored.join(", ");
+    console.log(`[Register] Ignoring personality fields: ${ignored}`);
+  }
+
   try {
     const licenseKeyId = await getLicenseKeyId(license_key);
 
     const result = await pool.query(
-      `INSERT INTO stores (store_id, api_key, site_url, store_name, admin_email, personality, license_key_id)
+      `INSERT INTO stores (store_id, site_url, store_name, admin_email, personality, license_key_id, publishable_key)
        VALUES ($1, $2, $3, $4, $5, $6, $7)
        ON CONFLICT (site_url)
        DO UPDATE SET
@@ -68,24 +118,32 @@ router.post("/register-store", async (req, res) => {
          admin_email = EXCLUDED.admin_email,
          personality = EXCLUDED.personality,
          license_key_id = EXCLUDED.license_key_id
-       RETURNING id, store_id, api_key`,
+       RETURNING id, store_id, publishable_key`,
       [
         generateStoreId(),
-        generateApiKey(),
         site_url,
         store_name || null,
         admin_email,
-        personality,
+        personalityCheck.personality,
         licenseKeyId,
+        generatePublishableKey(),
       ]
     );
 
     const row = result.rows[0];
+
+    // Keys are only stored hashed, so re-registering rotates the default key
+    const apiKey = await issueNamedApiKey(row.id);
+
     return res.json({
       ok: true,
       store_id: row.store_id,
-      api_key: row.api_key,
+      api_key: apiKey.api_key,
+      publishable_key: row.publishable_key, // For the widget, safe to embed
       license: licenseValidation.license,
+      ...(personalityCheck.ignored.length > 0 && {
+        ignored_personality_fields: personalityCheck.ignored,
+      }),
       message: "Store registered successfully",
     });
   } catch (err) {
@@ -99,31 +157,35 @@ router.post("/register-store", async (req, res) => {
 /**
  * Update store personality
  */
-router.post("/update-personality", async (req, res) => {
-  const { store_id, api_key, personality } = req.body || {};
+router.post("/update-personality", settingsAuth, async (req, res) => {
+  const { personality } = req.body || {};
 
-  if (!store_id || !api_key || !personality) {
+  if (!personality) {
     return res
       .status(400)
-      .json({
-        ok: false,
-        error: "store_id, api_key, and personality are required",
-      });
+      .json({ ok: false, error: "personality is required" });
   }
 
-  try {
-    const result = await pool.query(
-      `UPDATE stores SET personality = $1 WHERE store_id = $2 AND api_key = $3 RETURNING id`,
-      [personality, store_id, api_key]
-    );
+  const personalityCheck = validatePersonality(personality);
+  if (!personalityCheck.valid) {
+    return res.status(400).json({
+      ok: false,
+      error: "invalid_personality",
+      details: personalityCheck.errors,
+    });
+  }
 
-    if (result.rowCount === 0) {
-      return res
-        .status(401)
-        .json({ ok: false, error: "Invalid store_id or api_key" });
-    }
+  try {
+    await pool.query(`UPDATE stores SET personality = $1 WHERE id = $2`, [
+      personalityCheck.personality,
+      req.store.id,
+    ]);
 
-    return res.json({ ok: true, message: "Personality updated" });
+    return res.json({
+      ok: true,
+      message: "Personality updated",
+      personality: personalityCheck.personality,
+    });
   } catch (err) {
     console.error("Error in /update-personality:", err);
     return res
@@ -134,217 +196,285 @@ router.post("/update-personality", async (req, res) => {
 
 /**
  * Index store products and pages
+ *
+ * The payload is queued as a background job and processed by the index
+ * worker; poll GET /index-jobs/:id (or /index-status) for progress.
+ * Items are upserted by id and only new or changed content is re-embedded.
+ * mode "full" (default) also removes products/pages missing from the
+ * payload; mode "delta" only applies the payload plus explicit deletes.
+ * contact_info accepts email, phone, address, opening_hours, shipping_cost,
+ * return_window and social_links (array or { platform: url }).
+ * Products may carry structured attributes used for filtering in chat:
+ * price / regular_price / sale_price, currency, sku, categories, tags,
+ * sizes, colors and attributes ({ name: [values] }), plus variants - each
+ * with its own attributes, price, stock, image_url and url.
  */
-router.post("/index-store", async (req, res) => {
+router.post("/index-store", indexAuth, async (req, res) => {
   const {
-    store_id,
-    api_key,
     products = [],
     pages = [],
     contact_info = {},
+    deleted_product_ids = [],
+    deleted_page_ids = [],
+    mode = "full",
   } = req.body || {};
 
-  if (!store_id || !api_key) {
+  if (!["full", "delta"].includes(mode)) {
     return res
       .status(400)
-      .json({ ok: false, error: "store_id and api_key are required" });
+      .json({ ok: false, error: 'mode must be "full" or "delta"' });
   }
 
-  // Verify store exists and get license info
-  const storeCheck = await pool.query(
-    `SELECT s.id, s.license_key_id, lk.is_active as license_active
-     FROM stores s
-     LEFT JOIN license_keys lk ON s.license_key_id = lk.id
-     WHERE s.store_id = $1 AND s.api_key = $2`,
-    [store_id, api_key]
-  );
+  try {
+    const job = await enqueueIndexJob(req.store.id, {
+      products,
+      pages,
+      contactInfo: contact_info,
+      deletedProductIds: deleted_product_ids,
+      deletedPageIds: deleted_page_ids,
+      fullSync: mode === "full",
+    });
 
-  if (storeCheck.rowCount === 0) {
-    return res
-      .status(401)
-      .json({ ok: false, error: "Invalid store_id or api_key" });
+    return res.status(202).json({
+      ok: true,
+      message: "Indexing queued",
+      mode,
+      job_id: job.id,
+      status: job.status,
+      received: {
+        products: products.length,
+        pages: pages.length,
+        deleted_products: deleted_product_ids.length,
+        deleted_pages: deleted_page_ids.length,
+      },
+    });
+  } catch (err) {
+    console.error("Error in /index-store:", err);
+    return res.status(500).json({ ok: false, error: "Failed to index store" });
   }
+});
 
-  if (storeCheck.rows[0].license_key_id && !storeCheck.rows[0].license_active) {
-    return res
-      .status(401)
-      .json({ ok: false, error: "License key has been deactivated" });
+/**
+ * Get the status and progress of an indexing job
+ */
+router.get("/index-jobs/:id", indexAuth, async (req, res) => {
+  const jobId = parseInt(req.params.id);
+
+  if (!Number.isInteger(jobId)) {
+    return res.status(400).json({ ok: false, error: "Invalid job id" });
+  }
+
+  try {
+    const job = await getIndexJob(req.store.id, jobId);
+    if (!job) {
+      return res.status(404).json({ ok: false, error: "Job not found" });
+    }
+
+    return res.json({ ok: true, job });
+  } catch (err) {
+    console.error("Error in /index-jobs:", err);
+    return res.status(500).json({ ok: false, error: "Failed to get job" });
   }
+});
 
-  const items = buildItemsForEmbedding(products, pages);
-  const texts = items.map((item) => item.text);
+/**
+ * Add or update a single product or page
+ * PUT /index-store/products/:id  body: { store_id, api_key, product }
+ * PUT /index-store/pages/:id     body: { store_id, api_key, page }
+ *
+ * Returns 502 if embedding failed, so the plugin retries - the item isn't
+ * searchable (new) or still has its old content (updated).
+ */
+const upsertSingleItem = (kind) => async (req, res) => {
+  const { id } = req.params;
+  const field = kind === "products" ? "product" : "page";
+  const entry = req.body?.[field];
 
-  console.log(`Embedding ${items.length} items for store_id=${store_id}`);
+  if (!entry || typeof entry !== "object") {
+    return res.status(400).json({ ok: false, error: `${field} is required` });
+  }
 
   try {
-    const vectors = await embedTexts(texts);
-
-    const embeddedItems = items.map((item, idx) => {
-      let title = "",
-        url = "",
-        imageUrl = "",
-        price = "",
-        stockStatus = "instock",
-        inStock = true;
-
-      if (item.type === "product") {
-        const p = products.find((prod) => String(prod.id) === item.base_id);
-        if (p) {
-          title = p.title || "";
-          url = p.url || "";
-          imageUrl = p.image_url || "";
-          price = p.price || "";
-          stockStatus = p.stock_status || "instock";
-          inStock = p.in_stock !== false;
-        }
-      } else {
-        const pg = pages.find((page) => String(page.id) === item.base_id);
-        if (pg) {
-          title = pg.title || "";
-          url = pg.url || "";
-        }
-      }
-
-      return {
-        ...item,
-        embedding: vectors[idx],
-        title,
-        url,
-        image_url: imageUrl,
-        price,
-        stock_status: stockStatus,
-        in_stock: inStock,
-      };
+    const item = { ...entry, id };
+    const stats = await indexStoreContent(req.store.id, {
+      products: kind === "products" ? [item] : [],
+      pages: kind === "pages" ? [item] : [],
     });
 
-    // Persist to database
-    const storeDbId = storeCheck.rows[0].id;
+    if (stats.failed > 0) {
+      return res
+        .status(502)
+        .json({ ok: false, error: `Failed to embed ${field}, try again` });
+    }
 
-    // Clear existing items and facts
-    await pool.query("DELETE FROM store_items WHERE store_id = $1", [
-      storeDbId,
-    ]);
-    await pool.query("DELETE FROM store_facts WHERE store_id = $1", [
-      storeDbId,
-    ]);
+    return res.json({
+      ok: true,
+      message: `${field} indexed`,
+      embedded: stats.embedded > 0,
+    });
+  } catch (err) {
+    console.error(`Error in PUT /index-store/${kind}:`, err);
+    return res
+      .status(500)
+      .json({ ok: false, error: `Failed to index ${field}` });
+  }
+};
 
-    console.log(
-      `Cleared existing items for store_id=${store_id}, inserting ${embeddedItems.length} new items`
+router.put(
+  "/index-store/products/:id",
+  indexAuth,
+  upsertSingleItem("products")
+);
+router.put("/index-store/pages/:id", indexAuth, upsertSingleItem("pages"));
+
+/**
+ * Remove a single product or page
+ * DELETE /index-store/products/:id?store_id=...&api_key=...
+ * DELETE /index-store/pages/:id?store_id=...&api_key=...
+ */
+const deleteSingleItem = (kind) => async (req, res) => {
+  const { id } = req.params;
+  const field = kind === "products" ? "product" : "page";
+
+  try {
+    const deleted = await deleteItems(
+      req.store.id,
+      kind === "products" ? [id] : [],
+      kind === "pages" ? [id] : []
     );
 
-    // Add manual contact info
-    if (contact_info.email) {
-      await pool.query(
-        `INSERT INTO store_facts (store_id, fact_type, key, value)
-         VALUES ($1, 'email', 'manual', $2)
-         ON CONFLICT (store_id, fact_type, value) DO NOTHING`,
-        [storeDbId, contact_info.email]
-      );
-    }
-    if (contact_info.phone) {
-      await pool.query(
-        `INSERT INTO store_facts (store_id, fact_type, key, value)
-         VALUES ($1, 'phone', 'manual', $2)
-         ON CONFLICT (store_id, fact_type, value) DO NOTHING`,
-        [storeDbId, contact_info.phone]
-      );
-    }
-    if (contact_info.address) {
-      await pool.query(
-        `INSERT INTO store_facts (store_id, fact_type, key, value)
-         VALUES ($1, 'address', 'manual', $2)
-         ON CONFLICT (store_id, fact_type, value) DO NOTHING`,
-        [storeDbId, contact_info.address]
-      );
+    if (deleted === 0) {
+      return res.status(404).json({ ok: false, error: `${field} not found` });
     }
 
-    const hasManualEmail = !!contact_info.email;
-    const hasManualPhone = !!contact_info.phone;
-
-    for (const item of embeddedItems) {
-      const itemRes = await pool.query(
-        `INSERT INTO store_items (store_id, external_id, type, title, url, image_url, content, embedding, price, stock_status, in_stock)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-         RETURNING id`,
-        [
-          storeDbId,
-          item.item_id,
-          item.type,
-          item.title,
-          item.url,
-          item.image_url,
-          item.text,
-          item.embedding,
-          item.price,
-          item.stock_status,
-          item.in_stock,
-        ]
-      );
-
-      const storeItemId = itemRes.rows[0].id;
-
-      // Extract contact facts from content if no manual ones
-      if (!hasManualEmail || !hasManualPhone) {
-        const facts = extractFactsFromText(item.text);
-
-        for (const fact of facts) {
-          if (fact.fact_type === "email" && hasManualEmail) continue;
-          if (fact.fact_type === "phone" && hasManualPhone) continue;
-
-          await pool.query(
-            `INSERT INTO store_facts (store_id, source_item_id, fact_type, key, value)
-             VALUES ($1, $2, $3, $4, $5)
-             ON CONFLICT (store_id, fact_type, value) DO NOTHING`,
-            [storeDbId, storeItemId, fact.fact_type, fact.key, fact.value]
-          );
-        }
-      }
-    }
+    return res.json({ ok: true, message: `${field} removed`, deleted });
+  } catch (err) {
+    console.error(`Error in DELETE /index-store/${kind}:`, err);
+    return res
+      .status(500)
+      .json({ ok: false, error: `Failed to remove ${field}` });
+  }
+};
 
-    console.log(
-      `Persisted ${embeddedItems.length} items for store_id=${store_id}`
-    );
+router.delete(
+  "/index-store/products/:id",
+  indexAuth,
+  deleteSingleItem("products")
+);
+router.delete("/index-store/pages/:id", indexAuth, deleteSingleItem("pages"));
 
-    return res.json({
-      ok: true,
-      message: "Store indexed successfully",
-      received: {
-        products: products.length,
-        pages: pages.length,
-        embedded_items: embeddedItems.length,
-      },
-    });
+/**
+ * List the store's FAQs
+ */
+router.get("/faqs", indexAuth, async (req, res) => {
+  try {
+    const faqs = await listFaqs(req.store.id);
+    return res.json({ ok: true, faqs });
   } catch (err) {
-    console.error("Error in /index-store:", err);
-    return res.status(500).json({ ok: false, error: "Failed to index store" });
+    console.error("Error in GET /faqs:", err);
+    return res.status(500).json({ ok: false, error: "Failed to get FAQs" });
   }
 });
 
 /**
- * Get index status
+ * Unresolved visitor questions from conversation insights, most frequent
+ * first - candidates for new FAQs
  */
-router.get("/index-status", async (req, res) => {
-  const { store_id, api_key } = req.query || {};
+router.get("/faqs/suggestions", indexAuth, async (req, res) => {
+  const { days = 30 } = req.query || {};
 
-  if (!store_id || !api_key) {
+  try {
+    const suggestions = await getFaqSuggestions(
+      req.store.id,
+      parseInt(days) || 30
+    );
+    return res.json({ ok: true, suggestions });
+  } catch (err) {
+    console.error("Error in /faqs/suggestions:", err);
     return res
-      .status(400)
-      .json({ ok: false, error: "store_id and api_key are required" });
+      .status(500)
+      .json({ ok: false, error: "Failed to get FAQ suggestions" });
+  }
+});
+
+/**
+ * Add a FAQ
+ * Body: { store_id, api_key, question, answer, url?, is_active? }
+ */
+router.post("/faqs", faqAuth, async (req, res) => {
+  const { value, error } = validateFaq(req.body);
+  if (error) {
+    return res.status(400).json({ ok: false, error });
   }
 
   try {
-    const storeRow = await pool.query(
-      "SELECT id FROM stores WHERE store_id = $1 AND api_key = $2",
-      [store_id, api_key]
-    );
+    const faq = await createFaq(req.store.id, value);
+    return res.status(201).json({ ok: true, faq });
+  } catch (err) {
+    console.error("Error in POST /faqs:", err);
+    return res.status(500).json({ ok: false, error: "Failed to save FAQ" });
+  }
+});
 
-    if (storeRow.rowCount === 0) {
-      return res
-        .status(401)
-        .json({ ok: false, error: "Invalid store_id or api_key" });
+/**
+ * Update a FAQ - only the fields given change
+ * Body: { store_id, api_key, question?, answer?, url?, is_active? }
+ */
+router.put("/faqs/:id", faqAuth, async (req, res) => {
+  const faqId = parseInt(req.params.id);
+
+  if (!Number.isInteger(faqId)) {
+    return res.status(400).json({ ok: false, error: "Invalid FAQ id" });
+  }
+
+  const { value, error } = validateFaq(req.body, true);
+  if (error) {
+    return res.status(400).json({ ok: false, error });
+  }
+
+  try {
+    const faq = await updateFaq(req.store.id, faqId, value);
+    if (!faq) {
+      return res.status(404).json({ ok: false, error: "FAQ not found" });
+    }
+
+    return res.json({ ok: true, faq });
+  } catch (err) {
+    console.error("Error in PUT /faqs:", err);
+    return res.status(500).json({ ok: false, error: "Failed to update FAQ" });
+  }
+});
+
+/**
+ * Remove a FAQ
+ * DELETE /faqs/:id?store_id=...&api_key=...
+ */
+router.delete("/faqs/:id", indexAuth, async (req, res) => {
+  const faqId = parseInt(req.params.id);
+
+  if (!Number.isInteger(faqId)) {
+    return res.status(400).json({ ok: false, error: "Invalid FAQ id" });
+  }
+
+  try {
+    const deleted = await deleteFaq(req.store.id, faqId);
+    if (!deleted) {
+      return res.status(404).json({ ok: false, error: "FAQ not found" });
     }
 
-    const storeDbId = storeRow.rows[0].id;
+    return res.json({ ok: true, message: "FAQ removed" });
+  } catch (err) {
+    console.error("Error in DELETE /faqs:", err);
+    return res.status(500).json({ ok: false, error: "Failed to remove FAQ" });
+  }
+});
+
+/**
+ * Get index status
+ */
+router.get("/index-status", indexAuth, async (req, res) => {
+  try {
+    const storeDbId = req.store.id;
 
     const productCount = await pool.query(
       "SELECT COUNT(*) FROM store_items WHERE store_id = $1 AND type = 'product'",
@@ -354,6 +484,10 @@ router.get("/index-status", async (req, res) => {
       "SELECT COUNT(*) FROM store_items WHERE store_id = $1 AND type = 'page'",
       [storeDbId]
     );
+    const faqCount = await pool.query(
+      "SELECT COUNT(*) FROM store_faqs WHERE store_id = $1 AND is_active = true",
+      [storeDbId]
+    );
     const embeddingCount = await pool.query(
       "SELECT COUNT(*) FROM store_items WHERE store_id = $1 AND embedding IS NOT NULL",
       [storeDbId]
@@ -374,15 +508,19 @@ router.get("/index-status", async (req, res) => {
       source: row.key === "manual" ? "Manual entry" : "Auto-detected",
     }));
 
+    const latestJob = await getLatestIndexJob(storeDbId);
+
     return res.json({
       ok: true,
       counts: {
         products: parseInt(productCount.rows[0].count),
         pages: parseInt(pageCount.rows[0].count),
+        faqs: parseInt(faqCount.rows[0].count),
         embeddings: parseInt(embeddingCount.rows[0].count),
         facts: parseInt(factCount.rows[0].count),
       },
       facts,
+      latest_job: latestJob,
     });
   } catch (err) {
     console.error("Error in /index-status:", err);
@@ -392,6 +530,190 @@ router.get("/index-status", async (req, res) => {
   }
 });
 
+/**
+ * Get store settings (model, temperature, RAG size, timeouts)
+ */
+router.get("/settings", settingsAuth, async (req, res) => {
+  try {
+    const settings = await getStoreSettings(req.store.id);
+
+    return res.json({ ok: true, settings, schema: describeSettings() });
+  } catch (err) {
+    console.error("Error in GET /settings:", err);
+    return res.status(500).json({ ok: false, error: "Failed to get settings" });
+  }
+});
+
+/**
+ * Update store settings
+ * Body: { store_id, api_key, settings: { key: value } } - null resets a key
+ */
+router.post("/settings", settingsAuth, async (req, res) => {
+  const { settings } = req.body || {};
+
+  if (!settings) {
+    return res.status(400).json({ ok: false, error: "settings is required" });
+  }
+
+  try {
+    const result = await updateStoreSettings(req.store.id, settings);
+
+    if (!result.success) {
+      const status = result.errors ? 400 : 500;
+      return res
+        .status(status)
+        .json({ ok: false, error: result.error, details: result.errors });
+    }
+
+    return res.json({ ok: true, settings: result.settings });
+  } catch (err) {
+    console.error("Error in POST /settings:", err);
+    return res
+      .status(500)
+      .json({ ok: false, error: "Failed to update settings" });
+  }
+});
+
+/**
+ * List the store's active API keys (without the keys themselves)
+ * GET /api-keys?store_id=...&api_key=...
+ */
+router.get("/api-keys", settingsAuth, async (req, res) => {
+  try {
+    const keys = await listApiKeys(req.store.id);
+    return res.json({ ok: true, keys, current_key_id: req.store.key_id });
+  } catch (err) {
+    console.error("Error in GET /api-keys:", err);
+    return res
+      .status(500)
+      .json({ ok: false, error: "Failed to list API keys" });
+  }
+});
+
+/**
+ * 403 for scopes the requesting key doesn't have, so a key can't hand out
+ * or take away more access than it has. Returns true if the response was
+ * sent.
+ */
+function rejectMissingScopes(req, res, scopes) {
+  const missing = getMissingScopes(scopes, req.store.scopes);
+  if (missing.length === 0) return false;
+
+  res.status(403).json({
+    ok: false,
+    error: "insufficient_scope",
+    message: `This API key doesn't have these scopes: ${missing.join(", ")}`,
+    missing_scopes: missing,
+  });
+  return true;
+}
+
+/**
+ * Create a named API key
+ * Body: { store_id, api_key, name?, scopes? } - scopes default to the
+ * requesting key's own
+ * The new key is only returned once.
+ */
+router.post("/api-keys", settingsAuth, async (req, res) => {
+  const input = validateApiKeyInput(req.body || {}, req.store.scopes);
+  if (input.error) {
+    return res.status(400).json({ ok: false, error: input.error });
+  }
+  if (rejectMissingScopes(req, res, input.value.scopes)) return;
+
+  try {
+    const key = await createApiKey(
+      req.store.id,
+      input.value.name,
+      input.value.scopes
+    );
+    return res.status(201).json({
+      ok: true,
+      key,
+      message: "Save this key - it cannot be retrieved later!",
+    });
+  } catch (err) {
+    console.error("Error in POST /api-keys:", err);
+    return res
+      .status(500)
+      .json({ ok: false, error: "Failed to create API key" });
+  }
+});
+
+/**
+ * Rotate an API key: a new key with the same name and scopes; the old one
+ * keeps working for grace_hours (default 24, max 168, 0 = revoke now)
+ * Body: { store_id, api_key, grace_hours? }
+ */
+router.post("/api-keys/:id/rotate", settingsAuth, async (req, res) => {
+  const keyId = parseInt(req.params.id);
+
+  if (!Number.isInteger(keyId)) {
+    return res.status(400).json({ ok: false, error: "Invalid API key id" });
+  }
+
+  const grace = validateGraceHours(req.body?.grace_hours);
+  if (grace.error) {
+    return res.status(400).json({ ok: false, error: grace.error });
+  }
+
+  try {
+    const existing = await getApiKey(req.store.id, keyId);
+    if (!existing) {
+      return res.status(404).json({ ok: false, error: "API key not found" });
+    }
+    if (rejectMissingScopes(req, res, existing.scopes)) return;
+
+    const key = await rotateApiKey(req.store.id, keyId, grace.value);
+    if (!key) {
+      return res.status(404).json({ ok: false, error: "API key not found" });
+    }
+
+    return res.json({
+      ok: true,
+      key,
+      message: "Save this key - it cannot be retrieved later!",
+    });
+  } catch (err) {
+    console.error("Error in /api-keys/rotate:", err);
+    return res
+      .status(500)
+      .json({ ok: false, error: "Failed to rotate API key" });
+  }
+});
+
+/**
+ * Revoke an API key at once
+ * DELETE /api-keys/:id?store_id=...&api_key=...
+ */
+router.delete("/api-keys/:id", settingsAuth, async (req, res) => {
+  const keyId = parseInt(req.params.id);
+
+  if (!Number.isInteger(keyId)) {
+    return res.status(400).json({ ok: false, error: "Invalid API key id" });
+  }
+
+  try {
+    const existing = await getApiKey(req.store.id, keyId);
+    if (!existing) {
+      return res.status(404).json({ ok: false, error: "API key not found" });
+    }
+    if (rejectMissingScopes(req, res, existing.scopes)) return;
+
+    const revoked = await revokeApiKey(req.store.id, keyId);
+    if (!revoked) {
+      return res.status(404).json({ ok: false, error: "API key not found" });
+    }
+
+    return res.json({ ok: true, revoked: true });
+  } catch (err) {
+    console.error("Error in DELETE /api-keys:", err);
+    return res
+      .status(500)
+      .json({ ok: false, error: "Failed to revoke API key" });
+  }
+});
+
 /**
  * Get usage stats for a license key (store owner endpoint)
  */
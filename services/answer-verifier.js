@@ -0,0 +1,378 @@
+/**
+ * Answer Verifier Service
+ *
+ * Checks a generated answer against what the model was actually given
+ * before it reaches the visitor. Verifiable claims are pulled out of each
+ * sentence - prices, percentages, day/week counts, email addresses, phone
+ * numbers, links, product names and card tags - and must appear in the
+ * retrieved context, the store's items or the conversation. Anything else is
+ * unsupported. Product names in plain text are the **bold**, "quoted" and
+ * Capitalized Multi Word names.
+ *
+ * Streamed answers go through createStreamVerifier(), which checks each
+ * sentence before it is sent.
+ *
+ * What happens to unsupported claims depends on the grounding_mode setting:
+ *   off      - nothing is checked
+ *   annotate - the answer is kept, with a note to double-check
+ *   rewrite  - sentences with unsupported claims are removed (default)
+ *   replace  - the whole answer is replaced with a safe fallback
+ */
+
+const { parsePrice } = require("../utils/helpers");
+const { t } = require("./language");
+
+const GROUNDING_MODES = ["off", "annotate", "rewrite", "replace"];
+
+const CURRENCY = "kr|kronor|sek|nok|dkk|eur|euro|usd|\\$|€|£";
+const AMOUNT = "\\d[\\d\\s.,]*\\d|\\d";
+const MONEY_PATTERN = new RegExp(
+  `(?:(?:${CURRENCY})\\s?(${AMOUNT}))|(?:(${AMOUNT})\\s?(?:${CURRENCY}|:-)(?![\\p{L}]))`,
+  "giu"
+);
+const PERCENT_PATTERN = /(\d+(?:[.,]\d+)?)\s?%/g;
+const DURATION_PATTERN =
+  /(\d+)\s?(?:dagar|dag|days?|dage|dager|døgn|päivää|päivä|tage?n?|veckor|vecka|weeks?|uger|uge|uker|uke|viikkoa|viikko|wochen|woche|månader|månad|months?|måneder|måned|kuukautta|monate?n?)(?![\p{L}])/giu;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+const PHONE_PATTERN = /\+?\d[\d\s-]{6,}\d/g;
+const URL_PATTERN = /https?:\/\/[^\s)\]]+/g;
+const TAG_PATTERN = /\{\{([^}]+)\}\}/g;
+const QUOTED_NAME_PATTERN =
+  /\*\*([^*\n]{3,60})\*\*|["“”„«]([^"“”„«»\n]{3,60})["“”»]/g;
+const CAPITALIZED_NAME_PATTERN =
+  /\p{Lu}[\p{L}\d'’-]*(?:[ \t]+\p{Lu}[\p{L}\d'’-]*)+/gu;
+
+// [sentence, separator, sentence, separator, ...] when splitting
+const SENTENCE_SEPARATOR = /((?<=[.!?])\s+|\n+)/;
+
+/**
+ * Every number in a text - whole runs ("1 299,00") and their parts
+ */
+function collectNumbers(text, into = new Set()) {
+  for (const match of String(text || "").match(/\d[\d\s.,]*\d|\d/g) || []) {
+    [match, ...match.split(/\s+/)].forEach((part) => {
+      const value = parsePrice(part);
+      if (value !== null) into.add(value);
+    });
+  }
+  return into;
+}
+
+/**
+ * What the answer may state: numbers, contact details, links and names from
+ * the context, the store's items and the conversation
+ *
+ * @param {Object} sources
+ * @param {string} sources.context - Context sent to the model
+ * @param {Array} sources.messages - Conversation sent to the model
+ * @param {Array} sources.items - The store's items
+ * @param {Array} sources.names - Other names the answer may use (the store's)
+ */
+function buildEvidence({ context, messages = [], items = [], names = [] }) {
+  const texts = [context || "", ...messages.map((m) => m.content)];
+  const numbers = new Set();
+  texts.forEach((text) => collectNumbers(text, numbers));
+
+  for (const item of items) {
+    const prices = [item.price_amount, item.sale_price_amount];
+    (item.variants || []).forEach((v) =>
+      prices.push(v.price_amount, v.sale_price_amount)
+    );
+    prices
+      .filter((p) => p !== null && p !== undefined)
+      .forEach((p) => numbers.add(Number(p)));
+    collectNumbers(item.price, numbers);
+
+    // "You save 100 kr" on a sale
+    if (item.price_amount && item.sale_price_amount) {
+      numbers.add(
+        Math.round((item.price_amount - item.sale_price_amount) * 100) / 100
+      );
+    }
+  }
+
+  const allText = texts.join("\n").toLowerCase();
+  const urls = items.map((item) => item.url).filter(Boolean);
+  const knownNames = [
+    ...names,
+    ...items.map((item) => item.title),
+    ...items.flatMap((item) => item.categories || []),
+  ];
+
+  return {
+    numbers,
+    text: allText,
+    digits: allText.replace(/\D/g, ""),
+    urls: urls.map(normalizeUrl),
+    names: [
+      ...new Set(
+        knownNames
+          .filter(Boolean)
+          .map((name) => name.toLowerCase().trim())
+          .filter((name) => name.length >= 3)
+      ),
+    ],
+  };
+}
+
+/**
+ * Compare URLs without case and trailing punctuation or slash
+ */
+function normalizeUrl(url) {
+  return url
+    .toLowerCase()
+    .replace(/[.,!?]+$/, "")
+    .replace(/\/$/, "");
+}
+
+/**
+ * Whether a number from the answer appears in the evidence
+ */
+function hasNumber(evidence, raw) {
+  const value = parsePrice(raw);
+  return value === null || evidence.numbers.has(value);
+}
+
+/**
+ * Whether a name from the answer is a store item, category or something the
+ * model was given. Partial matches count ("Blå vas" for "Blå vas 20 cm").
+ */
+function isKnownName(evidence, name) {
+  const lower = name.toLowerCase().trim();
+  return (
+    evidence.text.includes(lower) ||
+    evidence.names.some(
+      (known) => known.includes(lower) || lower.includes(known)
+    )
+  );
+}
+
+/**
+ * Product names mentioned in plain text: **bold**, "quoted" and runs of two
+ * or more capitalized words. The first word of a sentence is capitalized
+ * anyway, so it is left out of a run there.
+ */
+function findNames(text) {
+  const names = [];
+  for (const match of text.matchAll(QUOTED_NAME_PATTERN)) {
+    names.push(match[1] || match[2]);
+  }
+  const start = text.search(/\S/);
+  for (const match of text.matchAll(CAPITALIZED_NAME_PATTERN)) {
+    const words = match[0].split(/\s+/);
+    if (match.index === start) words.shift();
+    if (words.length >= 2) names.push(words.join(" "));
+  }
+  return [...new Set(names)];
+}
+
+/**
+ * Trimmed card tags in a text, in order
+ */
+function findTags(text) {
+  return [...text.matchAll(TAG_PATTERN)].map((match) => match[1].trim());
+}
+
+/**
+ * Unsupported claims in one sentence
+ *
+ * @param {string} sentence - May contain {{tags}}
+ * @param {Object} evidence - From buildEvidence()
+ * @param {Set} unresolvedTags - Tags that matched no store item
+ * @returns {Array} [{ type, claim }]
+ */
+function findUnsupportedClaims(sentence, evidence, unresolvedTags) {
+  const issues = [];
+  const add = (type, claim) => issues.push({ type, claim: claim.trim() });
+
+  for (const [, tag] of sentence.matchAll(TAG_PATTERN)) {
+    if (unresolvedTags.has(tag.trim())) add("unknown_item", tag);
+  }
+
+  const text = sentence.replace(TAG_PATTERN, "");
+
+  for (const match of text.matchAll(MONEY_PATTERN)) {
+    if (!hasNumber(evidence, match[1] || match[2])) add("price", match[0]);
+  }
+  for (const match of text.matchAll(PERCENT_PATTERN)) {
+    if (!hasNumber(evidence, match[1])) add("percentage", match[0]);
+  }
+  for (const match of text.matchAll(DURATION_PATTERN)) {
+    if (!hasNumber(evidence, match[1])) add("duration", match[0]);
+  }
+  for (const [email] of text.matchAll(EMAIL_PATTERN)) {
+    if (!evidence.text.includes(email.toLowerCase())) add("email", email);
+  }
+  for (const [phone] of text.matchAll(PHONE_PATTERN)) {
+    // Compare the subscriber part, so "+46 8 123 45 67" matches "08-123 45 67"
+    const digits = phone.replace(/\D/g, "").slice(-7);
+    if (!evidence.digits.includes(digits)) add("phone", phone);
+  }
+  for (const [url] of text.matchAll(URL_PATTERN)) {
+    const normalized = normalizeUrl(url);
+    if (
+      !evidence.urls.includes(normalized) &&
+      !evidence.text.includes(normalized)
+    ) {
+      add("link", url);
+    }
+  }
+  const withoutLinks = text.replace(URL_PATTERN, "").replace(EMAIL_PATTERN, "");
+  for (const name of findNames(withoutLinks)) {
+    if (!isKnownName(evidence, name)) add("unknown_item", name);
+  }
+
+  return issues;
+}
+
+/**
+ * Verify an answer and apply the grounding mode
+ *
+ * @param {string} answer - Raw answer, card tags included
+ * @param {Object} options
+ * @param {string} options.mode - One of GROUNDING_MODES
+ * @param {string} options.language - Visitor language (for notes)
+ * @param {Object} options.evidence - From buildEvidence()
+ * @param {Array} options.unresolvedTags - Tags that matched no store item
+ * @returns {Object} { answer, action, issues } - action: "none",
+ *   "annotated", "rewritten" or "replaced"
+ */
+function verifyAnswer(answer, options) {
+  const { mode, language, evidence } = options;
+  if (mode === "off" || !answer) {
+    return { answer, action: "none", issues: [] };
+  }
+
+  const unresolvedTags = new Set(options.unresolvedTags || []);
+
+  const parts = answer.split(SENTENCE_SEPARATOR);
+  const flagged = new Set();
+  const issues = [];
+  for (let i = 0; i < parts.length; i += 2) {
+    const found = findUnsupportedClaims(parts[i], evidence, unresolvedTags);
+    if (found.length > 0) {
+      flagged.add(i);
+      issues.push(...found);
+    }
+  }
+
+  if (issues.length === 0) {
+    return { answer, action: "none", issues };
+  }
+
+  if (mode === "annotate") {
+    return {
+      answer: `${answer}\n\n${t(language, "grounding_note")}`,
+      action: "annotated",
+      issues,
+    };
+  }
+
+  if (mode === "rewrite") {
+    const kept = parts
+      .filter((part, i) => !flagged.has(i - (i % 2)))
+      .join("")
+      .trim();
+    // Only card tags left is no answer either
+    if (kept.replace(TAG_PATTERN, "").trim()) {
+      return { answer: kept, action: "rewritten", issues };
+    }
+  }
+
+  return {
+    answer: t(language, "grounding_fallback"),
+    action: "replaced",
+    issues,
+  };
+}
+
+/**
+ * Verify a streamed answer before it reaches the visitor.
+ *
+ * In annotate and rewrite mode text is released a sentence at a time, once
+ * the sentence is complete and checked; replace mode holds back the whole
+ * answer. Everything push() and flush() return, joined, equals
+ * verifyAnswer(answer).answer for the full answer.
+ *
+ * @param {Object} options - As for verifyAnswer(), but with
+ *   findUnresolvedTags(tags) => tags that match no store item, instead of
+ *   unresolvedTags
+ * @returns {Object} { push(chunk) => text, flush() => text }
+ */
+function createStreamVerifier(options) {
+  const { mode, language, evidence, findUnresolvedTags } = options;
+  let buffer = "";
+  let kept = "";
+  let flagged = false;
+
+  const unresolvedIn = (text) => findUnresolvedTags(findTags(text));
+  const bySentence = mode === "annotate" || mode === "rewrite";
+
+  // Checked text of complete [sentence, separator] pairs
+  function release(parts) {
+    let output = "";
+    for (let i = 0; i < parts.length; i += 2) {
+      const sentence = parts[i];
+      const issues = findUnsupportedClaims(
+        sentence,
+        evidence,
+        new Set(unresolvedIn(sentence))
+      );
+      if (issues.length > 0) flagged = true;
+      if (issues.length === 0 || mode === "annotate") {
+        output += sentence + (parts[i + 1] || "");
+      }
+    }
+    kept += output;
+    return output;
+  }
+
+  return {
+    push(chunk) {
+      if (mode === "off") return chunk || "";
+      buffer += chunk || "";
+      if (!bySentence) return "";
+
+      // The last sentence, and a separator with nothing after it yet, may
+      // still grow
+      const parts = buffer.split(SENTENCE_SEPARATOR);
+      const pending = parts[parts.length - 1] ? 1 : 3;
+      const complete = parts.slice(0, Math.max(0, parts.length - pending));
+      buffer = parts.slice(complete.length).join("");
+      return release(complete);
+    },
+
+    flush() {
+      if (mode === "off") return "";
+      const rest = buffer;
+      buffer = "";
+
+      if (!bySentence) {
+        return verifyAnswer(rest, {
+          mode,
+          language,
+          evidence,
+          unresolvedTags: unresolvedIn(rest),
+        }).answer;
+      }
+
+      const output = release(rest.split(SENTENCE_SEPARATOR));
+      if (!flagged) return output;
+      if (mode === "annotate") {
+        return `${output}\n\n${t(language, "grounding_note")}`;
+      }
+      // Only card tags left is no answer either
+      return kept.replace(TAG_PATTERN, "").trim()
+        ? output
+        : t(language, "grounding_fallback");
+    },
+  };
+}
+
+module.exports = {
+  GROUNDING_MODES,
+  buildEvidence,
+  findUnsupportedClaims,
+  verifyAnswer,
+  createStreamVerifier,
+};
@@ -0,0 +1,298 @@
+/**
+ * Store API Key Service
+ *
+ * Store owners authenticate with API keys kept in store_api_keys. Like
+ * license keys, only a SHA-256 hash is stored; the plain key is shown once
+ * when it is created or rotated.
+ *
+ * A store can have several named keys (e.g. "default", "wordpress",
+ * "dashboard"), each limited to scopes:
+ *   index          - index products/pages, manage FAQs, index status
+ *   analytics:read - analytics, handoffs, insights
+ *   settings:write - settings, personality, API key management
+ *
+ * Rotating a key issues a new one and lets the old one keep working for a
+ * grace period, so integrations can be updated without downtime.
+ *
+ * A key can only create or rotate keys with scopes it has itself.
+ */
+
+const { pool } = require("../config/database");
+const { generateApiKey } = require("../utils/helpers");
+const { hashKey } = require("./license");
+
+const API_KEY_SCOPES = ["index", "analytics:read", "settings:write"];
+
+const DEFAULT_GRACE_HOURS = 24;
+const MAX_GRACE_HOURS = 7 * 24;
+const MAX_NAME_LENGTH = 50;
+
+/**
+ * Prefix shown in listings to tell keys apart
+ */
+function getKeyPrefix(key) {
+  return key.substring(0, 10) + "...";
+}
+
+/**
+ * Validate the name and scopes of a new key.
+ * Returns { value } or { error }
+ */
+function validateApiKeyInput(input = {}, defaultScopes = API_KEY_SCOPES) {
+  const name = input.name === undefined ? "default" : input.name;
+  if (typeof name !== "string" || !name.trim()) {
+    return { error: "name must be a non-empty string" };
+  }
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    return { error: `name must be at most ${MAX_NAME_LENGTH} characters` };
+  }
+
+  const scopes = input.scopes === undefined ? defaultScopes : input.scopes;
+  if (
+    !Array.isArray(scopes) ||
+    scopes.length === 0 ||
+    scopes.some((s) => !API_KEY_SCOPES.includes(s))
+  ) {
+    return {
+      error: `scopes must be a non-empty list of: ${API_KEY_SCOPES.join(", ")}`,
+    };
+  }
+
+  return { value: { name: name.trim(), scopes: [...new Set(scopes)] } };
+}
+
+/**
+ * Scopes in a list that the current key doesn't have
+ */
+function getMissingScopes(scopes, heldScopes) {
+  return scopes.filter((scope) => !heldScopes.includes(scope));
+}
+
+/**
+ * Validate grace_hours for a rotation: a whole number of hours from 0 to
+ * MAX_GRACE_HOURS, DEFAULT_GRACE_HOURS when not given.
+ * Returns { value } or { error }
+ */
+function validateGraceHours(graceHours) {
+  if (graceHours === undefined) return { value: DEFAULT_GRACE_HOURS };
+
+  const hours =
+    typeof graceHours === "string" && /^\d+$/.test(graceHours.trim())
+      ? Number(graceHours)
+      : graceHours;
+  if (!Number.isInteger(hours) || hours < 0 || hours > MAX_GRACE_HOURS) {
+    return {
+      error: `grace_hours must be a whole number from 0 to ${MAX_GRACE_HOURS}`,
+    };
+  }
+
+  return { value: hours };
+}
+
+/**
+ * Format a store_api_keys row for the API (never the hash)
+ */
+function formatApiKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    key_prefix: row.key_prefix,
+    scopes: row.scopes,
+    created_at: row.created_at,
+    last_used_at: row.last_used_at,
+    expires_at: row.expires_at,
+  };
+}
+
+/**
+ * Create a key for a store
+ * Returns the key info with the plain key (only time it's visible!)
+ */
+async function createApiKey(
+  storeDbId,
+  name = "default",
+  scopes = API_KEY_SCOPES
+) {
+  const plainKey = generateApiKey();
+
+  const result = await pool.query(
+    `INSERT INTO store_api_keys (store_id, name, key_hash, key_prefix, scopes)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [storeDbId, name, hashKey(plainKey), getKeyPrefix(plainKey), scopes]
+  );
+
+  return { ...formatApiKey(result.rows[0]), api_key: plainKey };
+}
+
+/**
+ * Active keys of a store (revoked and expired keys left out)
+ */
+async function listApiKeys(storeDbId) {
+  const result = await pool.query(
+    `SELECT * FROM store_api_keys
+     WHERE store_id = $1 AND revoked_at IS NULL
+       AND (expires_at IS NULL OR expires_at > now())
+     ORDER BY created_at, id`,
+    [storeDbId]
+  );
+  return result.rows.map(formatApiKey);
+}
+
+/**
+ * An active key of a store, or null
+ */
+async function getApiKey(storeDbId, keyId) {
+  const result = await pool.query(
+    `SELECT * FROM store_api_keys
+     WHERE store_id = $1 AND id = $2 AND revoked_at IS NULL
+       AND (expires_at IS NULL OR expires_at > now())`,
+    [storeDbId, keyId]
+  );
+  return result.rowCount > 0 ? formatApiKey(result.rows[0]) : null;
+}
+
+/**
+ * Replace a key with a new one with the same name and scopes. The old key
+ * keeps working for graceHours (0 revokes it at once; see
+ * validateGraceHours).
+ * Returns null if the key doesn't exist.
+ */
+async function rotateApiKey(
+  storeDbId,
+  keyId,
+  graceHours = DEFAULT_GRACE_HOURS
+) {
+  const old = await pool.query(
+    `UPDATE store_api_keys
+     SET expires_at = LEAST(COALESCE(expires_at, 'infinity'), now() + make_interval(hours => $3))
+     WHERE store_id = $1 AND id = $2 AND revoked_at IS NULL
+       AND (expires_at IS NULL OR expires_at > now())
+     RETURNING *`,
+    [storeDbId, keyId, graceHours]
+  );
+  if (old.rowCount === 0) return null;
+
+  const { name, scopes } = old.rows[0];
+  const key = await createApiKey(storeDbId, name, scopes);
+  return { ...key, previous_key_expires_at: old.rows[0].expires_at };
+}
+
+/**
+ * Rotate every active key with a name, or create one if there is none.
+ * Used on (re-)registration, where the plain key can't be returned again.
+ */
+async function issueNamedApiKey(storeDbId, name = "default") {
+  const existing = await pool.query(
+    `SELECT id FROM store_api_keys
+     WHERE store_id = $1 AND name = $2 AND revoked_at IS NULL
+       AND (expires_at IS NULL OR expires_at > now())
+     ORDER BY id DESC`,
+    [storeDbId, name]
+  );
+  if (existing.rowCount === 0) return createApiKey(storeDbId, name);
+
+  const [latest, ...older] = existing.rows;
+  for (const key of older) await rotateApiKey(storeDbId, key.id, 0);
+  return rotateApiKey(storeDbId, latest.id);
+}
+
+/**
+ * Revoke a key at once. Returns false if it doesn't exist.
+ */
+async function revokeApiKey(storeDbId, keyId) {
+  const result = await pool.query(
+    `UPDATE store_api_keys SET revoked_at = now()
+     WHERE store_id = $1 AND id = $2 AND revoked_at IS NULL`,
+    [storeDbId, keyId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Verify a store's API key and that it has a scope
+ *
+ * @param {string} storeId - Public store_id
+ * @param {string} plainKey - API key from the request
+ * @param {string} scope - One of API_KEY_SCOPES
+ * @returns {Object} { store } or { error: { status, body } }
+ *   store: the stores row with license, plan and key columns
+ */
+async function verifyApiKey(storeId, plainKey, scope) {
+  if (!storeId || !plainKey || typeof plainKey !== "string") {
+    return {
+      error: {
+        status: 401,
+        body: {
+          ok: false,
+          error: "missing_credentials",
+          message: "store_id and api_key are required",
+        },
+      },
+    };
+  }
+
+  const result = await pool.query(
+    `SELECT s.id, s.store_id, s.store_name, s.license_key_id,
+            lk.is_active as license_active, lk.plan,
+            pl.display_name as plan_display, pl.conversations_per_month as plan_limit,
+            pl.features, k.id as key_id, k.scopes
+     FROM store_api_keys k
+     JOIN stores s ON s.id = k.store_id
+     LEFT JOIN license_keys lk ON s.license_key_id = lk.id
+     LEFT JOIN plan_limits pl ON lk.plan = pl.plan_name
+     WHERE s.store_id = $1 AND k.key_hash = $2 AND k.revoked_at IS NULL
+       AND (k.expires_at IS NULL OR k.expires_at > now())`,
+    [storeId, hashKey(plainKey)]
+  );
+
+  if (result.rowCount === 0) {
+    return {
+      error: {
+        status: 401,
+        body: {
+          ok: false,
+          error: "invalid_credentials",
+          message: "Invalid store_id or api_key",
+        },
+      },
+    };
+  }
+
+  const store = result.rows[0];
+  if (scope && !store.scopes.includes(scope)) {
+    return {
+      error: {
+        status: 403,
+        body: {
+          ok: false,
+          error: "insufficient_scope",
+          message: `This API key lacks the "${scope}" scope`,
+          required_scope: scope,
+        },
+      },
+    };
+  }
+
+  pool
+    .query(`UPDATE store_api_keys SET last_used_at = now() WHERE id = $1`, [
+      store.key_id,
+    ])
+    .catch((err) => console.error("Error updating API key usage:", err));
+
+  return { store };
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  validateApiKeyInput,
+  getMissingScopes,
+  validateGraceHours,
+  createApiKey,
+  listApiKeys,
+  getApiKey,
+  rotateApiKey,
+  issueNamedApiKey,
+  revokeApiKey,
+  verifyApiKey,
+};
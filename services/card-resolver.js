@@ -0,0 +1,170 @@
+/**
+ * Card Resolver Service
+ *
+ * Maps the {{...}} tags the model writes to store items. The chat context
+ * labels every item with a short stable ID - P<id> for products, G<id> for
+ * pages and posts, from store_items.id - and the model is asked to tag by
+ * ID. Tags that aren't valid IDs (older prompts, store example dialogues,
+ * the model writing a title anyway) fall back to fuzzy title matching.
+ *
+ * Every tag that didn't resolve by ID is recorded in tag_resolutions so
+ * mis-tagging can be tracked per store.
+ */
+
+const { pool } = require("../config/database");
+
+const ITEM_ID_PATTERN = /^([PG])(\d+)$/i;
+
+/**
+ * Short ID used in the chat context and in tags
+ */
+function itemTagId(item) {
+  return `${item.type === "product" ? "P" : "G"}${item.id}`;
+}
+
+/**
+ * Fuzzy title matching: exact, then substring, then word overlap.
+ * Items without a title are skipped.
+ */
+function findContentByTitle(tagName, items) {
+  const normalizedTag = tagName.toLowerCase().trim();
+  if (!normalizedTag) return null;
+
+  const titled = items.filter((item) => item.title && item.title.trim());
+
+  // Exact match first (any type)
+  let match = titled.find(
+    (item) => item.title.toLowerCase().trim() === normalizedTag
+  );
+
+  // Partial match - tag contains title or title contains tag
+  if (!match) {
+    match = titled.find(
+      (item) =>
+        item.title.toLowerCase().includes(normalizedTag) ||
+        normalizedTag.includes(item.title.toLowerCase().trim())
+    );
+  }
+
+  // Word-based partial match (for longer titles)
+  if (!match) {
+    const tagWords = normalizedTag.split(/\s+/);
+    match = titled.find((item) => {
+      const titleLower = item.title.toLowerCase();
+      // Match if most significant words match
+      const matchingWords = tagWords.filter(
+        (word) => word.length > 3 && titleLower.includes(word)
+      );
+      return matchingWords.length >= Math.min(2, tagWords.length);
+    });
+  }
+
+  return match || null;
+}
+
+/**
+ * Resolve one tag to a store item
+ *
+ * @param {string} tag - Tag content without braces, e.g. "P123" or a title
+ * @param {Array} items - The store's items
+ * @param {Map} itemsById - Optional id -> item map (built once per answer)
+ * @returns {Object} { item, method } - method: "id", "fuzzy" or "unresolved"
+ */
+function resolveTag(tag, items, itemsById = null) {
+  const idMatch = tag.trim().match(ITEM_ID_PATTERN);
+
+  if (idMatch) {
+    const byId = itemsById || new Map(items.map((item) => [item.id, item]));
+    const item = byId.get(parseInt(idMatch[2]));
+    const wantsProduct = idMatch[1].toUpperCase() === "P";
+
+    if (item && (item.type === "product") === wantsProduct) {
+      return { item, method: "id" };
+    }
+  }
+
+  const item = findContentByTitle(tag, items);
+  return { item, method: item ? "fuzzy" : "unresolved" };
+}
+
+/**
+ * Resolve all tags of an answer, in order
+ * Returns [{ tag, item, method }]
+ */
+function resolveTags(tags, items) {
+  const itemsById = new Map(items.map((item) => [item.id, item]));
+  return tags.map((tag) => ({ tag, ...resolveTag(tag, items, itemsById) }));
+}
+
+/**
+ * Record tags that needed the fuzzy fallback or didn't resolve at all.
+ * Fire-and-forget: telemetry never fails the chat.
+ */
+async function recordTagResolutions(storeDbId, conversationId, resolutions) {
+  const misses = resolutions.filter((r) => r.method !== "id");
+  if (misses.length === 0) return;
+
+  try {
+    for (const miss of misses) {
+      await pool.query(
+        `INSERT INTO tag_resolutions (store_id, conversation_id, tag, method, resolved_item_id)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [
+          storeDbId,
+          conversationId,
+          miss.tag.slice(0, 200),
+          miss.method,
+          miss.item?.id || null,
+        ]
+      );
+    }
+    console.log(
+      `[Cards] ${misses.length} tag(s) not resolved by ID: ${misses
+        .map((m) => `${m.tag} (${m.method})`)
+        .join(", ")}`
+    );
+  } catch (err) {
+    console.error("Error recording tag resolutions:", err);
+  }
+}
+
+/**
+ * Tags that missed ID resolution for a store over the last `days` days
+ */
+async function getTagResolutionStats(storeDbId, days = 30) {
+  const result = await pool.query(
+    `SELECT method, COUNT(*) AS count
+     FROM tag_resolutions
+     WHERE store_id = $1 AND created_at > now() - make_interval(days => $2)
+     GROUP BY method`,
+    [storeDbId, days]
+  );
+
+  const unresolved = await pool.query(
+    `SELECT tag, COUNT(*) AS count
+     FROM tag_resolutions
+     WHERE store_id = $1 AND method = 'unresolved'
+       AND created_at > now() - make_interval(days => $2)
+     GROUP BY tag ORDER BY count DESC LIMIT 20`,
+    [storeDbId, days]
+  );
+
+  return {
+    by_method: Object.fromEntries(
+      result.rows.map((r) => [r.method, parseInt(r.count)])
+    ),
+    top_unresolved: unresolved.rows.map((r) => ({
+      tag: r.tag,
+      count: parseInt(r.count),
+    })),
+  };
+}
+
+module.exports = {
+  itemTagId,
+  findContentByTitle,
+  resolveTag,
+  resolveTags,
+  recordTagResolutions,
+  getTagResolutionStats,
+};
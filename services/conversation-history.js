@@ -0,0 +1,191 @@
+/**
+ * Conversation History Service
+ *
+ * Rebuilds the chat history sent to the model from conv_messages, so the
+ * client can't forge earlier turns or grow the prompt without bound.
+ *
+ * The newest turns are kept within a token budget (history_token_budget
+ * setting). Turns that fall out of the budget are folded into a rolling
+ * summary on the conversation, updated in the background after the answer,
+ * so the next request can include it.
+ *
+ * Client-sent history is only used when the store opts in
+ * (client_history_fallback) and the server has no turns for the session.
+ */
+
+const { pool } = require("../config/database");
+const { chatCompletion, ANALYSIS_PROVIDER } = require("./llm-provider");
+const { estimateTokens } = require("../utils/helpers");
+
+// Messages loaded per conversation (newest)
+const MAX_LOADED_MESSAGES = 200;
+
+// Latest turns handed to the query rewriter
+const RECENT_MESSAGES = 6;
+
+// Client history entries looked at when falling back
+const MAX_CLIENT_TURNS = 50;
+
+// Conversations with a summary update in flight
+const summarizing = new Set();
+
+/**
+ * Keep the newest messages that fit the budget, oldest first.
+ * A single message longer than the budget is cut to fit.
+ *
+ * @returns {Object} { kept, omitted, tokens }
+ */
+function fitToBudget(messages, tokenBudget) {
+  const kept = [];
+  let tokens = 0;
+
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const cost = estimateTokens(messages[i].content);
+    if (tokens + cost > tokenBudget) {
+      if (kept.length === 0) {
+        const content = messages[i].content.slice(0, tokenBudget * 4);
+        kept.unshift({ ...messages[i], content });
+        tokens += estimateTokens(content);
+        i--;
+      }
+      return { kept, omitted: messages.slice(0, i + 1), tokens };
+    }
+    kept.unshift(messages[i]);
+    tokens += cost;
+  }
+
+  return { kept, omitted: [], tokens };
+}
+
+/**
+ * Only well-formed user/assistant turns from a client-sent history
+ */
+function sanitizeClientHistory(history) {
+  if (!Array.isArray(history)) return [];
+
+  return history
+    .slice(-MAX_CLIENT_TURNS)
+    .filter(
+      (turn) =>
+        turn &&
+        (turn.role === "user" || turn.role === "assistant") &&
+        typeof turn.content === "string" &&
+        turn.content.trim()
+    )
+    .map((turn) => ({ role: turn.role, content: turn.content.trim() }));
+}
+
+/**
+ * Load the history for the current turn (call before saving the visitor's
+ * new message)
+ *
+ * @param {Object} conversation - From getOrCreateConversation
+ * @param {Object} settings - Store settings
+ * @param {Array} clientHistory - History sent by the widget, if any
+ * @returns {Object} { source, messages, recent, summary, omitted, tokens }
+ *   messages: [{ role, content }] for the model
+ *   recent: the latest turns, with products_shown when stored (query rewriting)
+ *   omitted: older messages the summary doesn't cover yet
+ */
+async function loadConversationHistory(conversation, settings, clientHistory) {
+  const tokenBudget = settings.history_token_budget;
+
+  let stored = [];
+  try {
+    const result = await pool.query(
+      `SELECT id, role, content, products_shown FROM conv_messages
+       WHERE conversation_id = $1 AND role IN ('user', 'assistant')
+       ORDER BY id DESC
+       LIMIT $2`,
+      [conversation.id, MAX_LOADED_MESSAGES]
+    );
+    stored = result.rows.reverse();
+  } catch (err) {
+    console.error("Error loading conversation history:", err);
+  }
+
+  let source = "server";
+  let turns = stored;
+  if (stored.length === 0) {
+    const client = settings.client_history_fallback
+      ? sanitizeClientHistory(clientHistory)
+      : [];
+    source = client.length > 0 ? "client" : "none";
+    turns = client;
+  }
+
+  const { kept, omitted, tokens } = fitToBudget(turns, tokenBudget);
+
+  // The summary only helps if it covers what was cut
+  const summaryUntil = conversation.history_summary_until || 0;
+  const summary =
+    source === "server" && omitted.length > 0
+      ? conversation.history_summary || null
+      : null;
+
+  return {
+    source,
+    messages: kept.map((m) => ({ role: m.role, content: m.content })),
+    recent: turns.slice(-RECENT_MESSAGES),
+    summary,
+    omitted:
+      source === "server" ? omitted.filter((m) => m.id > summaryUntil) : [],
+    tokens,
+  };
+}
+
+/**
+ * Fold turns that fell out of the budget into the conversation summary.
+ * Runs in the background; one update per conversation at a time.
+ */
+async function updateHistorySummary(conversation, history, settings) {
+  const newTurns = history.omitted;
+  if (newTurns.length === 0 || summarizing.has(conversation.id)) return;
+
+  summarizing.add(conversation.id);
+  try {
+    const transcript = newTurns
+      .map(
+        (m) => `${m.role === "user" ? "Customer" : "Assistant"}: ${m.content}`
+      )
+      .join("\n");
+    const previous = conversation.history_summary
+      ? `Summary so far:\n${conversation.history_summary}\n\n`
+      : "";
+
+    const { text } = await chatCompletion({
+      provider: settings.analysis_provider || ANALYSIS_PROVIDER,
+      model: settings.analysis_model || undefined,
+      tier: "fast",
+      system:
+        "You summarize customer service chats for the assistant's memory. Keep products, preferences, questions and promises. Write 2-5 short sentences, no preamble.",
+      messages: [
+        {
+          role: "user",
+          content: `${previous}New messages:\n${transcript}\n\nUpdated summary:`,
+        },
+      ],
+      temperature: 0.2,
+      maxTokens: 200,
+    });
+
+    if (text && text.trim()) {
+      await pool.query(
+        `UPDATE conversations SET history_summary = $1, history_summary_until = $2
+         WHERE id = $3`,
+        [text.trim(), newTurns[newTurns.length - 1].id, conversation.id]
+      );
+    }
+  } catch (err) {
+    console.error("Error updating history summary:", err);
+  } finally {
+    summarizing.delete(conversation.id);
+  }
+}
+
+module.exports = {
+  fitToBudget,
+  sanitizeClientHistory,
+  loadConversationHistory,
+  updateHistorySummary,
+};
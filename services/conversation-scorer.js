@@ -6,7 +6,8 @@
  */
 
 const { pool } = require("../config/database");
-const { openai } = require("./embedding");
+const { completeJson } = require("./llm-provider");
+const { getStoreSettings } = require("./store-settings");
 
 /**
  * Score a conversation based on various quality metrics
@@ -70,37 +71,33 @@ Respond in JSON format:
 
 JSON:`;
 
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
-        {
-          role: "system",
-          content:
-            "You are an expert at evaluating customer service conversations. Always respond with valid JSON only.",
-        },
-        { role: "user", content: scoringPrompt },
-      ],
+    // Honour the store's analysis provider/model overrides
+    const storeResult = await pool.query(
+      `SELECT store_id FROM conversations WHERE id = $1`,
+      [conversationId]
+    );
+    const settings = await getStoreSettings(storeResult.rows[0]?.store_id);
+
+    const result = await completeJson({
+      provider: settings.analysis_provider || undefined,
+      model: settings.analysis_model || undefined,
+      tier: "fast",
+      system:
+        "You are an expert at evaluating customer service conversations. Always respond with valid JSON only.",
+      prompt: scoringPrompt,
       temperature: 0.2,
-      max_tokens: 500,
+      maxTokens: 500,
     });
 
-    const responseText = completion.choices[0]?.message?.content || "{}";
-
-    let scoring;
-    try {
-      const cleanJson = responseText
-        .replace(/```json\n?/g, "")
-        .replace(/```\n?/g, "")
-        .trim();
-      scoring = JSON.parse(cleanJson);
-    } catch (parseErr) {
+    if (!result.success) {
       console.error(
         `Conversation ${conversationId}: Failed to parse scoring JSON:`,
-        responseText
+        result.text
       );
       return { success: false, error: "Failed to parse scoring response" };
     }
 
+    const scoring = result.data;
     const overallScore = scoring.overall_score || 0;
     const isFlagged = scoring.flags && scoring.flags.length > 0;
 
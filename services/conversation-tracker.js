@@ -18,7 +18,8 @@ async function getOrCreateConversation(
   try {
     // Try to find existing conversation (any status)
     const existing = await pool.query(
-      `SELECT id, message_count, status FROM conversations 
+      `SELECT id, message_count, status, language, handoff_tracker,
+              history_summary, history_summary_until FROM conversations 
        WHERE store_id = $1 AND session_id = $2`,
       [storeDbId, sessionId]
     );
@@ -34,7 +35,14 @@ async function getOrCreateConversation(
         );
       }
 
-      return { id: conv.id, message_count: conv.message_count };
+      return {
+        id: conv.id,
+        message_count: conv.message_count,
+        language: conv.language,
+        handoff_tracker: conv.handoff_tracker,
+        history_summary: conv.history_summary,
+        history_summary_until: conv.history_summary_until,
+      };
     }
 
     // Create new conversation with ON CONFLICT to handle race conditions
@@ -43,7 +51,8 @@ async function getOrCreateConversation(
        VALUES ($1, $2, $3, $4, 'active')
        ON CONFLICT (store_id, session_id) 
        DO UPDATE SET status = 'active'
-       RETURNING id, message_count`,
+       RETURNING id, message_count, language, handoff_tracker,
+                 history_summary, history_summary_until`,
       [storeDbId, sessionId, language || null, deviceType || null]
     );
 
@@ -85,6 +94,20 @@ async function saveConversationMessage(
   }
 }
 
+/**
+ * Update the visitor language stored on a conversation
+ */
+async function updateConversationLanguage(conversationId, language) {
+  try {
+    await pool.query(`UPDATE conversations SET language = $1 WHERE id = $2`, [
+      language,
+      conversationId,
+    ]);
+  } catch (err) {
+    console.error("Error in updateConversationLanguage:", err);
+  }
+}
+
 /**
  * Mark a conversation as ended
  */
@@ -116,22 +139,34 @@ async function getStoreDbId(storeId) {
 }
 
 /**
- * Check for inactive conversations and mark them as ended
+ * Check for inactive conversations and mark them as ended.
+ * Uses each store's inactivity_timeout_minutes setting, falling back to
+ * inactiveMinutes for stores without one.
  */
 async function cleanupInactiveConversations(inactiveMinutes = 15) {
   try {
-    const result = await pool.query(`
+    const result = await pool.query(
+      `
       UPDATE conversations c
       SET status = 'ended', ended_at = now()
       WHERE c.status = 'active'
         AND c.id IN (
-          SELECT conversation_id 
-          FROM conv_messages 
-          GROUP BY conversation_id 
-          HAVING MAX(created_at) < now() - interval '${inactiveMinutes} minutes'
+          SELECT m.conversation_id
+          FROM conv_messages m
+          JOIN conversations cc ON cc.id = m.conversation_id
+          LEFT JOIN store_settings ss
+            ON ss.store_id = cc.store_id
+            AND ss.setting_key = 'inactivity_timeout_minutes'
+          WHERE cc.status = 'active'
+          GROUP BY m.conversation_id, ss.setting_value
+          HAVING MAX(m.created_at) < now() - make_interval(
+            mins => COALESCE(ss.setting_value::int, $1)
+          )
         )
       RETURNING id, store_id, message_count
-    `);
+    `,
+      [inactiveMinutes]
+    );
 
     if (result.rowCount > 0) {
       console.log(`Marked ${result.rowCount} inactive conversations as ended`);
@@ -147,6 +182,7 @@ async function cleanupInactiveConversations(inactiveMinutes = 15) {
 module.exports = {
   getOrCreateConversation,
   saveConversationMessage,
+  updateConversationLanguage,
   endConversation,
   getStoreDbId,
   cleanupInactiveConversations,
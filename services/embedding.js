@@ -1,12 +1,14 @@
 /**
  * Embedding Service
  *
- * Handles OpenAI embeddings and text processing.
+ * Handles embeddings (via the LLM provider layer) and text processing.
  */
 
-const OpenAI = require("openai");
-
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+const { embedBatch } = require("./llm-provider");
+const {
+  normalizeVariants,
+  collectVariantOptions,
+} = require("./product-variants");
 
 /**
  * Generate embeddings for an array of texts
@@ -19,11 +21,7 @@ async function embedTexts(texts) {
 
   for (let i = 0; i < texts.length; i += BATCH_SIZE) {
     const batch = texts.slice(i, i + BATCH_SIZE);
-    const response = await openai.embeddings.create({
-      model: "text-embedding-3-small",
-      input: batch,
-    });
-    allEmbeddings.push(...response.data.map((item) => item.embedding));
+    allEmbeddings.push(...(await embedBatch(batch)));
     console.log(
       `Embedded ${Math.min(i + batch.length, texts.length)}/${texts.length}`
     );
@@ -73,14 +71,35 @@ function buildItemsForEmbedding(products, pages) {
   const items = [];
 
   (products || []).forEach((p) => {
+    const listText = (list) =>
+      (Array.isArray(list) ? list : list ? [list] : [])
+        .map((v) => (v && typeof v === "object" ? v.name : v))
+        .filter(Boolean)
+        .join(", ");
+
     const textParts = [
       p.title,
       p.short_description,
       p.description,
-      (p.categories || []).join(", "),
+      listText(p.categories),
       p.price ? `Price: ${p.price}` : "",
     ];
 
+    // Structured attributes help semantic matching ("blue vase")
+    if (p.colors) textParts.push(`Colors: ${listText(p.colors)}`);
+    if (p.sizes) textParts.push(`Sizes: ${listText(p.sizes)}`);
+    if (p.tags) textParts.push(`Tags: ${listText(p.tags)}`);
+
+    // Variant options only - their price and stock change too often to
+    // be worth re-embedding for
+    const options = collectVariantOptions(normalizeVariants(p));
+    const optionText = [
+      ...options.sizes,
+      ...options.colors,
+      ...Object.values(options.other).flat(),
+    ].join(", ");
+    if (optionText) textParts.push(`Options: ${optionText}`);
+
     if (p.rumi_supplement) {
       textParts.push("Additional info: " + p.rumi_supplement);
     }
@@ -115,8 +134,26 @@ function buildItemsForEmbedding(products, pages) {
   return items;
 }
 
+// Label followed by the hours, e.g. "Öppettider: Mån-Fre 10-18"
+const OPENING_HOURS_PATTERN =
+  /(?:öppettider|öppet|opening hours|open hours|åpningstider|åbningstider|aukioloajat|öffnungszeiten)\s*:?\s*((?:mån|tis|ons|tor|fre|lör|sön|man|tir|tue|wed|thu|fri|sat|sun|mon|ma|ti|ke|to|pe|la|su|mo|di|mi|do|fr|sa|vardag|helg|week|alla)[^\n]{3,100})/i;
+
+// Shipping with an amount, e.g. "Frakt 49 kr", "Fri frakt över 500 kr"
+const SHIPPING_COST_PATTERN =
+  /(?:fri frakt|fraktfritt|frakt(?:kostnad)?|porto|free shipping|shipping(?: cost)?|delivery|fragt|toimitus(?:kulut)?|versand(?:kosten)?)[^.\n\d$€£]{0,40}(?:[$€£]\s?\d+(?:[.,]\d+)?|\d+(?:[.,]\d+)?\s?(?:kr|sek|nok|dkk|€|eur|usd|:-))/gi;
+
+// Return window in days, in either order ("30 dagars öppet köp", "returns within 14 days")
+const RETURN_WINDOW_PATTERNS = [
+  /(\d{1,3})\s?(?:dagars|dagar|dager|dage|days?|päivän|tage)\s+(?:öppet köp|returrätt|ångerrätt|full refund|returns?|angrerett|returret|fortrydelsesret|palautusoikeus|rückgaberecht|widerrufsrecht)/i,
+  /(?:öppet köp|returrätt|ångerrätt|returns?|retur|angrerett|returret|fortrydelsesret|palautus\w*|rückgabe\w*|widerruf\w*)[^.\n\d]{0,40}(\d{1,3})\s?(?:dagar|dagars|dager|dage|days?|päivä\w*|tage\w*)/i,
+];
+
+const SOCIAL_LINK_PATTERN =
+  /(?:https?:\/\/)?(?:www\.)?(?:instagram|facebook|tiktok|youtube|pinterest|linkedin)\.com\/[^\s"'<>)\],]+/gi;
+
 /**
- * Extract facts (email, phone) from text
+ * Extract facts (email, phone, opening hours, shipping cost, return window,
+ * social links) from text
  */
 function extractFactsFromText(text) {
   const facts = [];
@@ -149,11 +186,59 @@ function extractFactsFromText(text) {
     });
   }
 
+  // Opening hours - up to the next sentence ("... Lör 11-15. Välkommen!")
+  const hoursMatch = text.match(OPENING_HOURS_PATTERN);
+  if (hoursMatch) {
+    const hours = hoursMatch[1].split(/\.\s+(?=\p{Lu}\p{Ll}{3,})/u)[0].trim();
+    facts.push({
+      fact_type: "opening_hours",
+      key: "opening_hours",
+      value: hours,
+    });
+  }
+
+  // Shipping cost - often a price plus a free shipping threshold
+  const shippingMatch = text.match(SHIPPING_COST_PATTERN);
+  if (shippingMatch) {
+    shippingMatch.slice(0, 2).forEach((match) => {
+      facts.push({
+        fact_type: "shipping_cost",
+        key: "shipping_cost",
+        value: match.replace(/\s+/g, " ").trim(),
+      });
+    });
+  }
+
+  // Return window, normalized to "N days"
+  for (const pattern of RETURN_WINDOW_PATTERNS) {
+    const returnMatch = text.match(pattern);
+    if (returnMatch) {
+      facts.push({
+        fact_type: "return_window",
+        key: "return_window",
+        value: `${parseInt(returnMatch[1])} days`,
+      });
+      break;
+    }
+  }
+
+  // Social links
+  const socialMatch = text.match(SOCIAL_LINK_PATTERN);
+  if (socialMatch) {
+    [...new Set(socialMatch)].forEach((link) => {
+      const url = link.replace(/[.\/]+$/, "");
+      facts.push({
+        fact_type: "social_link",
+        key: "social_link",
+        value: url.startsWith("http") ? url : `https://${url}`,
+      });
+    });
+  }
+
   return facts;
 }
 
 module.exports = {
-  openai,
   embedTexts,
   cosineSimilarity,
   splitTextIntoChunks,
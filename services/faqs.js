@@ -0,0 +1,246 @@
+/**
+ * FAQ Service
+ *
+ * Curated question/answer pairs per store, kept in store_faqs. Each FAQ is
+ * mirrored into store_items (type 'faq') with its own embedding, so chat
+ * retrieval finds it alongside products and pages. Close FAQ matches are
+ * put first in the chat context - the owner's answer wins over whatever
+ * the website says (see routes/chat.js).
+ *
+ * Full /index-store syncs only replace products and pages, so FAQs survive
+ * re-indexing.
+ */
+
+const crypto = require("crypto");
+const { pool } = require("../config/database");
+const { embedTexts } = require("./embedding");
+
+const MAX_QUESTION_LENGTH = 500;
+const MAX_ANSWER_LENGTH = 4000;
+
+/**
+ * Validate FAQ fields. With `partial`, missing fields are allowed (updates).
+ * Returns { value } or { error }
+ */
+function validateFaq(input, partial = false) {
+  if (!input || typeof input !== "object") {
+    return { error: "FAQ must be an object" };
+  }
+
+  const value = {};
+  const text = (field, maxLength) => {
+    const raw = input[field];
+    if (raw === undefined && partial) return null;
+    if (typeof raw !== "string" || !raw.trim()) {
+      return `${field} is required`;
+    }
+    if (raw.trim().length > maxLength) {
+      return `${field} must be at most ${maxLength} characters`;
+    }
+    value[field] = raw.trim();
+    return null;
+  };
+
+  const error =
+    text("question", MAX_QUESTION_LENGTH) || text("answer", MAX_ANSWER_LENGTH);
+  if (error) return { error };
+
+  if (input.url !== undefined) {
+    if (input.url !== null && typeof input.url !== "string") {
+      return { error: "url must be a string" };
+    }
+    value.url = input.url ? input.url.trim() : null;
+  }
+
+  if (input.is_active !== undefined) {
+    if (typeof input.is_active !== "boolean") {
+      return { error: "is_active must be true or false" };
+    }
+    value.is_active = input.is_active;
+  }
+
+  return { value };
+}
+
+/**
+ * Text a FAQ is embedded and shown from
+ */
+function faqText(faq) {
+  return `Q: ${faq.question}\nA: ${faq.answer}`;
+}
+
+/**
+ * Format a store_faqs row for the API
+ */
+function formatFaq(row) {
+  return {
+    id: row.id,
+    question: row.question,
+    answer: row.answer,
+    url: row.url,
+    is_active: row.is_active,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+/**
+ * Embed a FAQ before it is saved, so a failed embedding saves nothing.
+ * Inactive FAQs aren't embedded.
+ */
+async function embedFaq(faq) {
+  if (!faq.is_active) return null;
+  const [embedding] = await embedTexts([faqText(faq)]);
+  return embedding;
+}
+
+/**
+ * Mirror a FAQ into store_items - or remove it there when inactive
+ */
+async function syncFaqItem(storeDbId, faq, embedding) {
+  if (!faq.is_active) {
+    await removeFaqItem(storeDbId, faq.id);
+    return;
+  }
+
+  const text = faqText(faq);
+  await pool.query(
+    `INSERT INTO store_items (store_id, external_id, type, title, url, content, embedding, content_hash, updated_at)
+     VALUES ($1, $2, 'faq', $3, $4, $5, $6, $7, now())
+     ON CONFLICT (store_id, external_id, type) DO UPDATE SET
+       title = EXCLUDED.title,
+       url = EXCLUDED.url,
+       content = EXCLUDED.content,
+       embedding = EXCLUDED.embedding,
+       content_hash = EXCLUDED.content_hash,
+       updated_at = now()`,
+    [
+      storeDbId,
+      String(faq.id),
+      faq.question,
+      faq.url || "",
+      text,
+      embedding,
+      crypto.createHash("sha256").update(text).digest("hex"),
+    ]
+  );
+}
+
+/**
+ * Remove a FAQ's store_items mirror
+ */
+async function removeFaqItem(storeDbId, faqId) {
+  await pool.query(
+    `DELETE FROM store_items WHERE store_id = $1 AND type = 'faq' AND external_id = $2`,
+    [storeDbId, String(faqId)]
+  );
+}
+
+/**
+ * All FAQs of a store, newest first
+ */
+async function listFaqs(storeDbId) {
+  const result = await pool.query(
+    `SELECT * FROM store_faqs WHERE store_id = $1 ORDER BY created_at DESC, id DESC`,
+    [storeDbId]
+  );
+  return result.rows.map(formatFaq);
+}
+
+/**
+ * Create a FAQ and embed it
+ */
+async function createFaq(storeDbId, fields) {
+  const isActive = fields.is_active !== false;
+  const embedding = await embedFaq({ ...fields, is_active: isActive });
+
+  const result = await pool.query(
+    `INSERT INTO store_faqs (store_id, question, answer, url, is_active)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [storeDbId, fields.question, fields.answer, fields.url || null, isActive]
+  );
+  const faq = result.rows[0];
+  await syncFaqItem(storeDbId, faq, embedding);
+  return formatFaq(faq);
+}
+
+/**
+ * Update a FAQ and re-embed it. Returns null if it doesn't exist.
+ */
+async function updateFaq(storeDbId, faqId, fields) {
+  const existing = await pool.query(
+    `SELECT * FROM store_faqs WHERE store_id = $1 AND id = $2`,
+    [storeDbId, faqId]
+  );
+  if (existing.rowCount === 0) return null;
+
+  const merged = { ...existing.rows[0], ...fields };
+  const embedding = await embedFaq(merged);
+
+  const result = await pool.query(
+    `UPDATE store_faqs
+     SET question = $3, answer = $4, url = $5, is_active = $6, updated_at = now()
+     WHERE store_id = $1 AND id = $2
+     RETURNING *`,
+    [
+      storeDbId,
+      faqId,
+      merged.question,
+      merged.answer,
+      merged.url || null,
+      merged.is_active,
+    ]
+  );
+  if (result.rowCount === 0) return null;
+
+  const faq = result.rows[0];
+  await syncFaqItem(storeDbId, faq, embedding);
+  return formatFaq(faq);
+}
+
+/**
+ * Delete a FAQ. Returns false if it doesn't exist.
+ */
+async function deleteFaq(storeDbId, faqId) {
+  const result = await pool.query(
+    `DELETE FROM store_faqs WHERE store_id = $1 AND id = $2`,
+    [storeDbId, faqId]
+  );
+  if (result.rowCount === 0) return false;
+
+  await removeFaqItem(storeDbId, faqId);
+  return true;
+}
+
+/**
+ * Questions the assistant couldn't answer (unresolved insights), most
+ * frequent first - candidates for new FAQs
+ */
+async function getFaqSuggestions(storeDbId, days = 30, limit = 20) {
+  const result = await pool.query(
+    `SELECT value, COUNT(*) AS count, MAX(extracted_at) AS last_seen
+     FROM conv_insights
+     WHERE store_id = $1 AND insight_type = 'unresolved'
+       AND extracted_at > now() - make_interval(days => $2)
+     GROUP BY value
+     ORDER BY count DESC, last_seen DESC
+     LIMIT $3`,
+    [storeDbId, days, limit]
+  );
+  return result.rows.map((r) => ({
+    question: r.value,
+    count: parseInt(r.count),
+    last_seen: r.last_seen,
+  }));
+}
+
+module.exports = {
+  validateFaq,
+  faqText,
+  listFaqs,
+  createFaq,
+  updateFaq,
+  deleteFaq,
+  getFaqSuggestions,
+};
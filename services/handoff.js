@@ -0,0 +1,257 @@
+/**
+ * Handoff Service
+ *
+ * Detects when a visitor should be handed over to store staff - they ask
+ * for a human, or they seem stuck (repeating themselves, getting
+ * frustrated) - and builds the contact options shown by the widget.
+ *
+ * State lives on the conversation: handoff_triggered / handoff_reason mark
+ * the handoff, handoff_tracker (JSONB) holds the running signals and the
+ * pending/resolved timestamps staff work with.
+ */
+
+const { pool } = require("../config/database");
+const { t } = require("./language");
+const { loadStoreFacts } = require("./store-facts");
+
+// Visitor explicitly asks for a person. Whole request phrases, not nouns,
+// so product questions ("human hair extensions") don't hand off.
+const HUMAN_REQUEST_PHRASES = [
+  // Swedish
+  "(prata|tala|snacka) med (en |er |någon )?(människa|person|riktig person|någon|kundtjänst|kundservice|personal|handläggare)",
+  "(riktig|verklig) (person|människa)",
+  "mänsklig (hjälp|handläggare|kontakt)",
+  "(kontakta|ringa) (er|kundtjänst|kundservice)",
+  // English
+  "(talk|speak|chat) (to|with) (a |an |your |someone from )?(human|person|real person|someone|somebody|agent|representative|customer service|support|staff)",
+  "(want|need) (a |an )?(human|real person|live agent)",
+  "(real|live) (person|human|agent)",
+  "human (being|agent|support)",
+  "(contact|call) (your )?(customer service|support)",
+  "(connect|transfer) me",
+  // Danish / Norwegian
+  "(tale|snakke) med (et |en |jer |dere )?(menneske|person|rigtig person|ekte person|nogen|noen|kundeservice|kundeservicen)",
+  "(rigtigt|ekte) (menneske|person)",
+  // Finnish
+  "(ihmisen|asiakaspalvelun|asiakaspalvelijan) kanssa",
+  "oike(a|an|alle) ihmi(nen|sen|selle)",
+  // German
+  "(mit|zu) (einem |einer |dem |der |ihrem |ihrer )?(mensch|menschen|echten menschen|mitarbeiter|mitarbeiterin|kundendienst|kundenservice|person) (sprechen|reden|chatten|verbinden)",
+  "echte(n|r)? (mensch|menschen|person)",
+];
+
+const HUMAN_REQUEST_PATTERN = new RegExp(
+  `\\b(${HUMAN_REQUEST_PHRASES.join("|")})\\b`,
+  "i"
+);
+
+// Visitor signals the assistant isn't helping
+const FRUSTRATION_PATTERN =
+  /\b(förstår inte|fattar inte|hjälper inte|inte det jag frågade|värdelös|irriterande|doesn't help|not helpful|useless|you don't understand|not what i asked|that's wrong|forstår ikke|hjælper ikke|hjelper ikke|ei auta|verstehst nicht|hilft nicht|nutzlos)\b/i;
+
+// Stuck-detection thresholds
+const FRUSTRATION_THRESHOLD = 2;
+const REPEAT_THRESHOLD = 2;
+
+// User messages remembered for repeat detection
+const RECENT_MESSAGES = 3;
+
+const CONTACT_PAGE_PATTERN = /kontakt|contact|kundtjänst|kundservice|support/i;
+
+/**
+ * Normalize a message for repeat detection
+ */
+function normalizeMessage(message) {
+  return String(message || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Update the tracker with a new visitor message and decide whether to
+ * hand off. Pure - the caller saves the returned tracker.
+ *
+ * @param {Object} tracker - Current handoff_tracker
+ * @param {string} message - The visitor's message
+ * @returns {Object} { tracker, reason } - reason is null when no handoff
+ */
+function evaluateHandoff(tracker, message) {
+  const next = {
+    frustration: 0,
+    repeats: 0,
+    recent: [],
+    ...(tracker && typeof tracker === "object" ? tracker : {}),
+  };
+
+  const normalized = normalizeMessage(message);
+
+  if (FRUSTRATION_PATTERN.test(message)) {
+    next.frustration += 1;
+  }
+  if (normalized && next.recent.includes(normalized)) {
+    next.repeats += 1;
+  }
+  next.recent = [...next.recent, normalized].slice(-RECENT_MESSAGES);
+
+  // An explicit request always gets the contact options again
+  if (HUMAN_REQUEST_PATTERN.test(message)) {
+    return { tracker: next, reason: "requested_human" };
+  }
+
+  // Stuck signals only trigger once per pending handoff
+  if (next.triggered_at && !next.resolved_at) {
+    return { tracker: next, reason: null };
+  }
+  if (next.frustration >= FRUSTRATION_THRESHOLD) {
+    return { tracker: next, reason: "frustration" };
+  }
+  if (next.repeats >= REPEAT_THRESHOLD) {
+    return { tracker: next, reason: "repeated_question" };
+  }
+
+  return { tracker: next, reason: null };
+}
+
+/**
+ * Save the tracker, and mark the handoff when a reason is given
+ */
+async function saveHandoffState(conversationId, tracker, reason) {
+  try {
+    if (!reason) {
+      await pool.query(
+        `UPDATE conversations SET handoff_tracker = $2 WHERE id = $1`,
+        [conversationId, JSON.stringify(tracker)]
+      );
+      return;
+    }
+
+    // A repeated request keeps the original time of a pending handoff
+    const pending = tracker.triggered_at && !tracker.resolved_at;
+    const marked = {
+      ...tracker,
+      triggered_at: pending ? tracker.triggered_at : new Date().toISOString(),
+      resolved_at: null,
+    };
+
+    await pool.query(
+      `UPDATE conversations
+       SET handoff_triggered = true, handoff_reason = $2, handoff_tracker = $3
+       WHERE id = $1`,
+      [conversationId, reason, JSON.stringify(marked)]
+    );
+    console.log(`[Handoff] Conversation ${conversationId}: ${reason}`);
+  } catch (err) {
+    console.error("Error in saveHandoffState:", err);
+  }
+}
+
+/**
+ * Build the handoff action for the widget from the store's contact facts
+ * and contact page. Returns null when the store has no contact options.
+ */
+async function buildHandoffAction(storeDbId, reason, language) {
+  const facts = await loadStoreFacts(storeDbId);
+  const factValue = (type) =>
+    facts.find((f) => f.fact_type === type)?.values[0] || null;
+  const email = factValue("email");
+  const phone = factValue("phone");
+
+  const pagesResult = await pool.query(
+    `SELECT title, url FROM store_items
+     WHERE store_id = $1 AND type = 'page' AND url <> ''
+     ORDER BY id`,
+    [storeDbId]
+  );
+  const contactPage = pagesResult.rows.find(
+    (p) =>
+      CONTACT_PAGE_PATTERN.test(p.title) || CONTACT_PAGE_PATTERN.test(p.url)
+  );
+
+  if (!email && !phone && !contactPage) {
+    return null;
+  }
+
+  return {
+    type: "handoff",
+    reason,
+    message: t(language, "handoff_message"),
+    channels: {
+      email,
+      phone,
+      contact_form_url: contactPage?.url || null,
+    },
+    opening_hours: factValue("opening_hours"),
+  };
+}
+
+/**
+ * Instruction appended to the system prompt when a handoff is offered,
+ * so the answer introduces the contact options instead of ignoring them
+ */
+function buildHandoffInstruction(reason, action) {
+  const situation =
+    reason === "requested_human"
+      ? "The visitor wants to talk to a person at the store."
+      : "The visitor seems stuck - offer them to talk to a person at the store.";
+
+  if (!action) {
+    return `\n\n${situation} The store hasn't shared any contact details, so apologize briefly and keep helping as well as you can.`;
+  }
+
+  return `\n\n${situation} Their contact options are shown right below your answer - mention that briefly and warmly. Don't write out the contact details and don't recommend products in this answer.`;
+}
+
+/**
+ * List handoffs for a store
+ *
+ * @param {number} storeDbId - The store's database ID
+ * @param {string} status - "pending", "resolved" or "all"
+ */
+async function listHandoffs(storeDbId, status = "pending", limit = 50) {
+  const statusFilter = {
+    pending: `AND c.handoff_tracker->>'resolved_at' IS NULL`,
+    resolved: `AND c.handoff_tracker->>'resolved_at' IS NOT NULL`,
+    all: "",
+  }[status];
+
+  const result = await pool.query(
+    `SELECT c.id, c.session_id, c.started_at, c.status, c.language,
+            c.message_count, c.handoff_reason,
+            c.handoff_tracker->>'triggered_at' AS triggered_at,
+            c.handoff_tracker->>'resolved_at' AS resolved_at
+     FROM conversations c
+     WHERE c.store_id = $1 AND c.handoff_triggered = true ${statusFilter}
+     ORDER BY c.handoff_tracker->>'triggered_at' DESC NULLS LAST
+     LIMIT $2`,
+    [storeDbId, limit]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Mark a handoff as taken care of by staff.
+ * Returns false if the conversation has no handoff for this store.
+ */
+async function resolveHandoff(storeDbId, conversationId) {
+  const result = await pool.query(
+    `UPDATE conversations
+     SET handoff_tracker = COALESCE(handoff_tracker, '{}'::jsonb)
+       || jsonb_build_object('resolved_at', now(), 'frustration', 0, 'repeats', 0)
+     WHERE id = $1 AND store_id = $2 AND handoff_triggered = true
+     RETURNING id`,
+    [conversationId, storeDbId]
+  );
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  evaluateHandoff,
+  saveHandoffState,
+  buildHandoffAction,
+  buildHandoffInstruction,
+  listHandoffs,
+  resolveHandoff,
+};
@@ -0,0 +1,333 @@
+/**
+ * Index Queue Service
+ *
+ * Durable background jobs for /index-store. The request stores the payload
+ * in index_jobs and returns a job id; a worker loop claims queued jobs with
+ * FOR UPDATE SKIP LOCKED (safe with several server instances), runs the
+ * indexer and records progress as it goes.
+ *
+ * A unique index allows one running job per store. The worker sends a
+ * heartbeat while a job runs; a job whose heartbeat stops is queued again.
+ * Every update from the worker is fenced by the job's attempt number, so a
+ * worker that lost its job (e.g. after a long pause) stops at its next
+ * progress update instead of running alongside the new attempt.
+ *
+ * Failed jobs - or jobs where some embedding batches failed - are retried
+ * with backoff up to max_attempts. Retries are cheap: items that were
+ * already embedded have a matching content hash and are skipped.
+ *
+ * Finished jobs lose their payload and are deleted after JOB_RETENTION_DAYS.
+ */
+
+const { pool } = require("../config/database");
+const { indexStoreContent } = require("./indexer");
+
+const MAX_ATTEMPTS = 3;
+
+// Retry after 30s, 2min, 4.5min...
+const RETRY_BASE_SECONDS = 30;
+
+// Running jobs report to the database this often...
+const HEARTBEAT_SECONDS = 30;
+
+// ...and are queued again when they haven't for this long
+const STALE_HEARTBEAT_SECONDS = 4 * HEARTBEAT_SECONDS;
+
+const JOB_RETENTION_DAYS = 30;
+
+// Postgres unique_violation
+const UNIQUE_VIOLATION = "23505";
+
+let workerBusy = false;
+
+/**
+ * Queue an indexing job for a store
+ *
+ * @param {number} storeDbId - The store's database ID
+ * @param {Object} payload - indexStoreContent payload
+ * @returns {Object} The job row
+ */
+async function enqueueIndexJob(storeDbId, payload) {
+  const result = await pool.query(
+    `INSERT INTO index_jobs (store_id, payload, max_attempts)
+     VALUES ($1, $2, $3)
+     RETURNING *`,
+    [storeDbId, JSON.stringify(payload), MAX_ATTEMPTS]
+  );
+  return formatJob(result.rows[0]);
+}
+
+/**
+ * Claim the oldest runnable job. Jobs for a store that already has a
+ * running job wait, so syncs for one store never overlap: the NOT EXISTS
+ * skips those stores, and the unique index stops two workers that claim
+ * jobs for the same store at the same moment.
+ */
+async function claimNextJob() {
+  for (let tries = 0; tries < 3; tries++) {
+    try {
+      return await claimRunnableJob();
+    } catch (err) {
+      // Another worker just claimed a job for this store - look again
+      if (err.code !== UNIQUE_VIOLATION) throw err;
+    }
+  }
+  return null;
+}
+
+async function claimRunnableJob() {
+  const result = await pool.query(
+    `UPDATE index_jobs SET
+       status = 'running',
+       attempts = attempts + 1,
+       started_at = now(),
+       heartbeat_at = now(),
+       updated_at = now()
+     WHERE id = (
+       SELECT j.id FROM index_jobs j
+       WHERE j.status = 'queued'
+         AND j.run_after <= now()
+         AND NOT EXISTS (
+           SELECT 1 FROM index_jobs r
+           WHERE r.store_id = j.store_id AND r.status = 'running'
+         )
+       ORDER BY j.created_at
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Queue jobs again whose worker stopped sending heartbeats, or fail them
+ * after their last attempt
+ */
+async function requeueStaleJobs() {
+  const result = await pool.query(
+    `UPDATE index_jobs SET
+       status = CASE WHEN attempts >= max_attempts THEN 'failed' ELSE 'queued' END,
+       finished_at = CASE WHEN attempts >= max_attempts THEN now() END,
+       payload = CASE WHEN attempts >= max_attempts THEN NULL ELSE payload END,
+       last_error = 'Worker stopped responding',
+       updated_at = now()
+     WHERE status = 'running'
+       AND COALESCE(heartbeat_at, updated_at) < now() - make_interval(secs => $1)`,
+    [STALE_HEARTBEAT_SECONDS]
+  );
+  if (result.rowCount > 0) {
+    console.log(`Re-queued ${result.rowCount} stale index jobs`);
+  }
+}
+
+/**
+ * Delete finished jobs past the retention period
+ */
+async function pruneFinishedJobs() {
+  const result = await pool.query(
+    `DELETE FROM index_jobs
+     WHERE status IN ('completed', 'failed')
+       AND finished_at < now() - make_interval(days => $1)`,
+    [JOB_RETENTION_DAYS]
+  );
+  if (result.rowCount > 0) {
+    console.log(`Deleted ${result.rowCount} old index jobs`);
+  }
+}
+
+/**
+ * Update a job this worker still owns: running, and not claimed again
+ * since (same attempt). Returns false if the job was taken away.
+ */
+async function updateOwnedJob(job, setClause, params = []) {
+  const result = await pool.query(
+    `UPDATE index_jobs SET ${setClause}, updated_at = now()
+     WHERE id = $1 AND attempts = $2 AND status = 'running'`,
+    [job.id, job.attempts, ...params]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Run one claimed job and record the outcome
+ */
+async function runJob(job) {
+  console.log(
+    `Running index job ${job.id} for store ${job.store_id} (attempt ${job.attempts}/${job.max_attempts})`
+  );
+
+  let lost = false;
+  const heartbeat = setInterval(() => {
+    updateOwnedJob(job, "heartbeat_at = now()")
+      .then((owned) => {
+        if (!owned) lost = true;
+      })
+      .catch((err) =>
+        console.error(`Error in index job ${job.id} heartbeat:`, err)
+      );
+  }, HEARTBEAT_SECONDS * 1000);
+
+  try {
+    const stats = await indexStoreContent(
+      job.store_id,
+      job.payload,
+      async ({ total, embedded, failed }) => {
+        const owned =
+          !lost &&
+          (await updateOwnedJob(
+            job,
+            `total_items = $3, embedded_items = $4, failed_items = $5, heartbeat_at = now()`,
+            [total, embedded, failed]
+          ));
+        if (!owned) {
+          lost = true;
+          throw new Error("Job was re-queued while running");
+        }
+      }
+    );
+
+    if (stats.failed > 0) {
+      await failJob(job, `${stats.failed} items failed to embed`, stats);
+      return;
+    }
+
+    const owned = await updateOwnedJob(
+      job,
+      `status = 'completed', result = $3, last_error = NULL, payload = NULL,
+       finished_at = now()`,
+      [JSON.stringify(stats)]
+    );
+    if (owned) console.log(`Index job ${job.id} completed`);
+  } catch (err) {
+    if (lost) {
+      console.log(
+        `Index job ${job.id} attempt ${job.attempts} stopped: ${err.message}`
+      );
+      return;
+    }
+    console.error(`Error in index job ${job.id}:`, err);
+    await failJob(job, err.message);
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+/**
+ * Retry a job with backoff, or mark it failed after its last attempt
+ */
+async function failJob(job, message, stats = null) {
+  if (job.attempts < job.max_attempts) {
+    const delaySeconds = RETRY_BASE_SECONDS * job.attempts * job.attempts;
+    const owned = await updateOwnedJob(
+      job,
+      `status = 'queued', last_error = $3, result = $4,
+       run_after = now() + make_interval(secs => $5)`,
+      [message, stats && JSON.stringify(stats), delaySeconds]
+    );
+    if (owned) {
+      console.log(
+        `Index job ${job.id} failed (${message}), retrying in ${delaySeconds}s`
+      );
+    }
+  } else {
+    const owned = await updateOwnedJob(
+      job,
+      `status = 'failed', last_error = $3, result = $4, payload = NULL,
+       finished_at = now()`,
+      [message, stats && JSON.stringify(stats)]
+    );
+    if (owned) {
+      console.log(`Index job ${job.id} failed permanently: ${message}`);
+    }
+  }
+}
+
+/**
+ * Process queued jobs until none are runnable. Called on an interval;
+ * overlapping calls in the same process are skipped.
+ */
+async function processIndexJobs() {
+  if (workerBusy) return;
+  workerBusy = true;
+
+  try {
+    await requeueStaleJobs();
+    await pruneFinishedJobs();
+
+    let job;
+    while ((job = await claimNextJob())) {
+      await runJob(job);
+    }
+  } catch (err) {
+    console.error("Error in processIndexJobs:", err);
+  } finally {
+    workerBusy = false;
+  }
+}
+
+/**
+ * Shape a job row for API responses, with progress and a rough ETA
+ * based on the embedding rate so far
+ */
+function formatJob(row) {
+  const total = row.total_items || 0;
+  const embedded = row.embedded_items || 0;
+  const failed = row.failed_items || 0;
+
+  let etaSeconds = null;
+  if (row.status === "running" && row.started_at && embedded > 0) {
+    const elapsed = (Date.now() - new Date(row.started_at).getTime()) / 1000;
+    const remaining = Math.max(total - embedded - failed, 0);
+    etaSeconds = Math.round((elapsed / embedded) * remaining);
+  }
+
+  return {
+    id: row.id,
+    status: row.status,
+    attempts: row.attempts,
+    max_attempts: row.max_attempts,
+    progress: {
+      total_items: total,
+      embedded_items: embedded,
+      failed_items: failed,
+      percent: total > 0 ? Math.round(((embedded + failed) / total) * 100) : 0,
+      eta_seconds: etaSeconds,
+    },
+    result: row.result || null,
+    last_error: row.last_error || null,
+    created_at: row.created_at,
+    started_at: row.started_at || null,
+    finished_at: row.finished_at || null,
+    next_attempt_at: row.status === "queued" ? row.run_after : null,
+  };
+}
+
+/**
+ * Get one job for a store (null if it doesn't exist or isn't theirs)
+ */
+async function getIndexJob(storeDbId, jobId) {
+  const result = await pool.query(
+    `SELECT * FROM index_jobs WHERE id = $1 AND store_id = $2`,
+    [jobId, storeDbId]
+  );
+  return result.rows[0] ? formatJob(result.rows[0]) : null;
+}
+
+/**
+ * Get the most recent job for a store
+ */
+async function getLatestIndexJob(storeDbId) {
+  const result = await pool.query(
+    `SELECT * FROM index_jobs WHERE store_id = $1 ORDER BY created_at DESC LIMIT 1`,
+    [storeDbId]
+  );
+  return result.rows[0] ? formatJob(result.rows[0]) : null;
+}
+
+module.exports = {
+  enqueueIndexJob,
+  processIndexJobs,
+  getIndexJob,
+  getLatestIndexJob,
+};
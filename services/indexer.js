@@ -0,0 +1,373 @@
+/**
+ * Indexer Service
+ *
+ * Incremental indexing of store products and pages.
+ *
+ * Items are upserted by (store_id, external_id, type). Each item's embedding
+ * text is hashed, and only new or changed texts are sent for embedding -
+ * unchanged items just get their metadata (price, stock, url...) refreshed.
+ */
+
+const crypto = require("crypto");
+const { pool } = require("../config/database");
+const {
+  embedTexts,
+  buildItemsForEmbedding,
+  extractFactsFromText,
+} = require("./embedding");
+const { CONTACT_INFO_FIELDS, normalizeContactInfo } = require("./store-facts");
+const { normalizeProductAttributes } = require("./product-filters");
+const { normalizeVariants } = require("./product-variants");
+
+// Fact types that can be set manually through contact_info
+const MANUAL_FACT_TYPES = Object.values(CONTACT_INFO_FIELDS);
+
+// Texts per embedding request (and per progress update)
+const EMBED_BATCH_SIZE = 100;
+
+/**
+ * Hash the text an item is embedded from
+ */
+function hashContent(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+/**
+ * Attach display metadata (title, url, price, stock) and structured
+ * attributes from the source product/page to each item built for embedding
+ */
+function attachItemMetadata(items, products, pages) {
+  const productsById = new Map(products.map((p) => [String(p.id), p]));
+  const pagesById = new Map(pages.map((pg) => [String(pg.id), pg]));
+
+  return items.map((item) => {
+    let title = "",
+      url = "",
+      imageUrl = "",
+      price = "",
+      stockStatus = "instock",
+      inStock = true,
+      variants = [],
+      attributes = normalizeProductAttributes(null);
+
+    if (item.type === "product") {
+      const p = productsById.get(item.base_id);
+      if (p) {
+        title = p.title || "";
+        url = p.url || "";
+        imageUrl = p.image_url || "";
+        price = p.price ? String(p.price) : "";
+        stockStatus = p.stock_status || "instock";
+        variants = normalizeVariants(p);
+        // Without an explicit flag, a product with variants is in stock
+        // when any of its variants is
+        inStock =
+          p.in_stock === undefined && variants.length > 0
+            ? variants.some((v) => v.in_stock)
+            : p.in_stock !== false;
+        attributes = normalizeProductAttributes(p, variants);
+      }
+    } else {
+      const pg = pagesById.get(item.base_id);
+      if (pg) {
+        title = pg.title || "";
+        url = pg.url || "";
+      }
+    }
+
+    return {
+      ...item,
+      title,
+      url,
+      image_url: imageUrl,
+      price,
+      stock_status: stockStatus,
+      in_stock: inStock,
+      variants,
+      ...attributes,
+      content_hash: hashContent(item.text),
+    };
+  });
+}
+
+/**
+ * Save manual facts from contact_info. Types given replace their previous
+ * manual values; with replaceAll, types left out are removed too.
+ */
+async function saveManualFacts(storeDbId, contactInfo, replaceAll) {
+  const { types, facts } = normalizeContactInfo(contactInfo);
+
+  await pool.query(
+    `DELETE FROM store_facts WHERE store_id = $1 AND key = 'manual' AND fact_type = ANY($2)`,
+    [storeDbId, replaceAll ? MANUAL_FACT_TYPES : types]
+  );
+
+  for (const fact of facts) {
+    await pool.query(
+      `INSERT INTO store_facts (store_id, fact_type, key, value)
+       VALUES ($1, $2, 'manual', $3)
+       ON CONFLICT (store_id, fact_type, value) DO UPDATE SET key = 'manual', source_item_id = NULL`,
+      [storeDbId, fact.fact_type, fact.value]
+    );
+  }
+}
+
+/**
+ * Re-extract auto-detected facts for an item whose content changed
+ */
+async function refreshItemFacts(storeDbId, storeItemId, text, manualTypes) {
+  await pool.query(
+    `DELETE FROM store_facts WHERE source_item_id = $1 AND key <> 'manual'`,
+    [storeItemId]
+  );
+
+  // Manual facts win over auto-detected ones of the same type
+  const facts = extractFactsFromText(text).filter(
+    (fact) => !manualTypes.has(fact.fact_type)
+  );
+
+  for (const fact of facts) {
+    await pool.query(
+      `INSERT INTO store_facts (store_id, source_item_id, fact_type, key, value)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (store_id, fact_type, value) DO NOTHING`,
+      [storeDbId, storeItemId, fact.fact_type, fact.key, fact.value]
+    );
+  }
+}
+
+/**
+ * Insert or update one item. A null embedding keeps the stored one.
+ * Returns the store_items id.
+ */
+async function upsertItem(storeDbId, item, embedding) {
+  const result = await pool.query(
+    `INSERT INTO store_items (store_id, external_id, type, title, url, image_url, content, embedding, price, stock_status, in_stock, content_hash,
+                              price_amount, sale_price_amount, currency, sku, categories, tags, attributes, variants, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, now())
+     ON CONFLICT (store_id, external_id, type) DO UPDATE SET
+       title = EXCLUDED.title,
+       url = EXCLUDED.url,
+       image_url = EXCLUDED.image_url,
+       content = EXCLUDED.content,
+       embedding = COALESCE(EXCLUDED.embedding, store_items.embedding),
+       price = EXCLUDED.price,
+       stock_status = EXCLUDED.stock_status,
+       in_stock = EXCLUDED.in_stock,
+       content_hash = EXCLUDED.content_hash,
+       price_amount = EXCLUDED.price_amount,
+       sale_price_amount = EXCLUDED.sale_price_amount,
+       currency = EXCLUDED.currency,
+       sku = EXCLUDED.sku,
+       categories = EXCLUDED.categories,
+       tags = EXCLUDED.tags,
+       attributes = EXCLUDED.attributes,
+       variants = EXCLUDED.variants,
+       updated_at = now()
+     RETURNING id`,
+    [
+      storeDbId,
+      item.item_id,
+      item.type,
+      item.title,
+      item.url,
+      item.image_url,
+      item.text,
+      embedding,
+      item.price,
+      item.stock_status,
+      item.in_stock,
+      item.content_hash,
+      item.price_amount,
+      item.sale_price_amount,
+      item.currency,
+      item.sku,
+      item.categories,
+      item.tags,
+      JSON.stringify(item.attributes),
+      JSON.stringify(item.variants),
+    ]
+  );
+  return result.rows[0].id;
+}
+
+/**
+ * Delete products by external id and pages (all chunks) by page id
+ */
+async function deleteItems(storeDbId, productIds = [], pageIds = []) {
+  let deleted = 0;
+
+  if (productIds.length > 0) {
+    const result = await pool.query(
+      `DELETE FROM store_items
+       WHERE store_id = $1 AND type = 'product' AND external_id = ANY($2)`,
+      [storeDbId, productIds.map(String)]
+    );
+    deleted += result.rowCount;
+  }
+
+  if (pageIds.length > 0) {
+    const result = await pool.query(
+      `DELETE FROM store_items
+       WHERE store_id = $1 AND type = 'page' AND split_part(external_id, '#', 1) = ANY($2)`,
+      [storeDbId, pageIds.map(String)]
+    );
+    deleted += result.rowCount;
+  }
+
+  return deleted;
+}
+
+/**
+ * Index products and pages for a store
+ *
+ * @param {number} storeDbId - The store's database ID
+ * @param {Object} payload
+ * @param {Array} payload.products - Products to add or update
+ * @param {Array} payload.pages - Pages to add or update
+ * @param {Object} payload.contactInfo - Manual facts (see CONTACT_INFO_FIELDS)
+ * @param {Array} payload.deletedProductIds - Product ids to remove
+ * @param {Array} payload.deletedPageIds - Page ids to remove
+ * @param {boolean} payload.fullSync - Remove products/pages not in the payload
+ * @param {Function} onProgress - Called with { total, embedded, failed }
+ * @returns {Object} Counts: { items, embedded, failed, unchanged, deleted }
+ */
+async function indexStoreContent(storeDbId, payload, onProgress = () => {}) {
+  const {
+    products = [],
+    pages = [],
+    contactInfo = {},
+    deletedProductIds = [],
+    deletedPageIds = [],
+    fullSync = false,
+  } = payload;
+
+  const items = attachItemMetadata(
+    buildItemsForEmbedding(products, pages),
+    products,
+    pages
+  );
+
+  // Find what actually changed since the last sync
+  const existingResult = await pool.query(
+    `SELECT external_id, type, content_hash FROM store_items
+     WHERE store_id = $1 AND type IN ('product', 'page')`,
+    [storeDbId]
+  );
+  const existingHashes = new Map(
+    existingResult.rows.map((r) => [
+      `${r.type}:${r.external_id}`,
+      r.content_hash,
+    ])
+  );
+
+  const changedItems = items.filter(
+    (item) =>
+      existingHashes.get(`${item.type}:${item.item_id}`) !== item.content_hash
+  );
+
+  console.log(
+    `Indexing store ${storeDbId}: ${items.length} items, ${changedItems.length} new or changed`
+  );
+
+  await saveManualFacts(storeDbId, contactInfo, fullSync);
+
+  const manualResult = await pool.query(
+    `SELECT DISTINCT fact_type FROM store_facts WHERE store_id = $1 AND key = 'manual'`,
+    [storeDbId]
+  );
+  const manualTypes = new Set(manualResult.rows.map((r) => r.fact_type));
+
+  // Unchanged items keep their embedding - only metadata updates
+  const changedSet = new Set(changedItems);
+  for (const item of items) {
+    if (!changedSet.has(item)) {
+      await upsertItem(storeDbId, item, null);
+    }
+  }
+
+  // Changed items are embedded and saved batch by batch, so progress is
+  // visible and a failing batch doesn't lose the others. Failed items keep
+  // their old hash and are picked up again by the next sync or retry.
+  let embedded = 0;
+  let failed = 0;
+  await onProgress({ total: changedItems.length, embedded, failed });
+
+  for (let i = 0; i < changedItems.length; i += EMBED_BATCH_SIZE) {
+    const batch = changedItems.slice(i, i + EMBED_BATCH_SIZE);
+
+    let vectors;
+    try {
+      vectors = await embedTexts(batch.map((item) => item.text));
+    } catch (err) {
+      console.error(`Embedding batch failed for store ${storeDbId}:`, err);
+      failed += batch.length;
+      await onProgress({ total: changedItems.length, embedded, failed });
+      continue;
+    }
+
+    for (const [idx, item] of batch.entries()) {
+      const storeItemId = await upsertItem(storeDbId, item, vectors[idx]);
+      await refreshItemFacts(storeDbId, storeItemId, item.text, manualTypes);
+    }
+
+    embedded += batch.length;
+    await onProgress({ total: changedItems.length, embedded, failed });
+  }
+
+  // Pages that got shorter leave stale trailing chunks behind
+  let deleted = 0;
+  const chunkIdsByPage = new Map();
+  items
+    .filter((item) => item.type === "page")
+    .forEach((item) => {
+      const ids = chunkIdsByPage.get(item.base_id) || [];
+      ids.push(item.item_id);
+      chunkIdsByPage.set(item.base_id, ids);
+    });
+
+  for (const [pageId, chunkIds] of chunkIdsByPage) {
+    const result = await pool.query(
+      `DELETE FROM store_items
+       WHERE store_id = $1 AND type = 'page'
+         AND split_part(external_id, '#', 1) = $2
+         AND NOT (external_id = ANY($3))`,
+      [storeDbId, pageId, chunkIds]
+    );
+    deleted += result.rowCount;
+  }
+
+  deleted += await deleteItems(storeDbId, deletedProductIds, deletedPageIds);
+
+  if (fullSync) {
+    // Everything not in this payload is gone from the store
+    const result = await pool.query(
+      `DELETE FROM store_items
+       WHERE store_id = $1
+         AND type IN ('product', 'page')
+         AND NOT (type || ':' || external_id = ANY($2))`,
+      [storeDbId, items.map((item) => `${item.type}:${item.item_id}`)]
+    );
+    deleted += result.rowCount;
+  }
+
+  console.log(
+    `Indexed store ${storeDbId}: ${embedded} embedded, ${failed} failed, ${
+      items.length - changedItems.length
+    } unchanged, ${deleted} deleted`
+  );
+
+  return {
+    items: items.length,
+    embedded,
+    failed,
+    unchanged: items.length - changedItems.length,
+    deleted,
+  };
+}
+
+module.exports = {
+  hashContent,
+  indexStoreContent,
+  deleteItems,
+};
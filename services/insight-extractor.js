@@ -5,7 +5,8 @@
  */
 
 const { pool } = require("../config/database");
-const { openai } = require("./embedding");
+const { completeJson } = require("./llm-provider");
+const { getStoreSettings } = require("./store-settings");
 
 /**
  * Extract insights from a completed conversation using AI
@@ -77,38 +78,29 @@ Rules:
 
 JSON:`;
 
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o",
-      messages: [
-        {
-          role: "system",
-          content:
-            "You are an expert at analyzing customer conversations and extracting actionable insights. Always respond with valid JSON only.",
-        },
-        { role: "user", content: extractionPrompt },
-      ],
+    const settings = await getStoreSettings(storeDbId);
+
+    const result = await completeJson({
+      provider: settings.analysis_provider || undefined,
+      model: settings.analysis_model || undefined,
+      system:
+        "You are an expert at analyzing customer conversations and extracting actionable insights. Always respond with valid JSON only.",
+      prompt: extractionPrompt,
       temperature: 0.3,
-      max_tokens: 500,
+      maxTokens: 500,
     });
 
-    const responseText = completion.choices[0]?.message?.content || "{}";
-
     // Parse the JSON response
-    let insights;
-    try {
-      const cleanJson = responseText
-        .replace(/```json\n?/g, "")
-        .replace(/```\n?/g, "")
-        .trim();
-      insights = JSON.parse(cleanJson);
-    } catch (parseErr) {
+    if (!result.success) {
       console.error(
         `Conversation ${conversationId}: Failed to parse insights JSON:`,
-        responseText
+        result.text
       );
       return;
     }
 
+    const insights = result.data;
+
     // Store extracted insights
     const insightsToStore = [];
 
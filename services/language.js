@@ -0,0 +1,217 @@
+/**
+ * Language Service
+ *
+ * Visitor language handling: normalizing the widget's language parameter,
+ * lightweight detection from the message text, and localized system
+ * strings shown to visitors.
+ */
+
+const wordSet = (list) => new Set(list.split(" "));
+
+/**
+ * Supported languages, keyed by the name used in prompts and stored on
+ * conversations.language
+ */
+const LANGUAGES = {
+  Swedish: {
+    codes: ["sv", "sv-se", "swedish", "svenska"],
+    stopwords: wordSet(
+      "och jag det att är en ett som på med har ni vad hur inte för kan vill den av hej tack finns köpa någon något några mig skulle vi du eller också kostar"
+    ),
+    chars: /[åäö]/i,
+  },
+  Norwegian: {
+    codes: ["no", "nb", "nn", "nb-no", "norwegian", "norsk"],
+    stopwords: wordSet(
+      "og jeg det er en et som på med har dere hva hvordan ikke for kan vil av hei takk noe meg skulle kjøpe koster til"
+    ),
+    chars: /[æøå]/i,
+  },
+  Danish: {
+    codes: ["da", "da-dk", "danish", "dansk"],
+    stopwords: wordSet(
+      "og jeg det er en et som på med har i hvad hvordan ikke for kan vil af hej tak noget mig skulle købe koster til"
+    ),
+    chars: /[æøå]/i,
+  },
+  Finnish: {
+    codes: ["fi", "fi-fi", "finnish", "suomi"],
+    stopwords: wordSet(
+      "ja minä on ei se että mitä miten onko teillä kiitos hei voinko haluan ostaa mikä"
+    ),
+    chars: /[äö]/i,
+  },
+  German: {
+    codes: ["de", "de-de", "german", "deutsch"],
+    stopwords: wordSet(
+      "und ich ist das die der ein eine nicht mit haben sie was wie für kann hallo danke kaufen gibt es"
+    ),
+    chars: /[äöüß]/i,
+  },
+  English: {
+    codes: ["en", "en-us", "en-gb", "english"],
+    stopwords: wordSet(
+      "and the is it a an you have do what how not for can want of hi hello thanks buy any me would i my this that with"
+    ),
+    chars: null,
+  },
+};
+
+const LANGUAGE_NAMES = Object.keys(LANGUAGES);
+
+/**
+ * Localized strings shown directly to visitors
+ */
+const STRINGS = {
+  chat_unavailable: {
+    Swedish:
+      "Chatten är tillfälligt otillgänglig. Vänligen försök igen senare.",
+    English: "The chat is temporarily unavailable. Please try again later.",
+    Norwegian:
+      "Chatten er midlertidig utilgjengelig. Vennligst prøv igjen senere.",
+    Danish: "Chatten er midlertidigt utilgængelig. Prøv venligst igen senere.",
+    Finnish:
+      "Chat ei ole tilapäisesti käytettävissä. Yritä myöhemmin uudelleen.",
+    German:
+      "Der Chat ist vorübergehend nicht verfügbar. Bitte versuche es später erneut.",
+  },
+  fallback_answer: {
+    Swedish: "Förlåt, jag kunde inte ta fram ett svar.",
+    English: "Sorry, I couldn't generate a response.",
+    Norwegian: "Beklager, jeg klarte ikke å lage et svar.",
+    Danish: "Beklager, jeg kunne ikke finde et svar.",
+    Finnish: "Valitettavasti en pystynyt muodostamaan vastausta.",
+    German: "Entschuldigung, ich konnte keine Antwort erstellen.",
+  },
+  chat_error: {
+    Swedish: "Något gick fel. Försök igen om en liten stund.",
+    English: "Something went wrong. Please try again in a moment.",
+    Norwegian: "Noe gikk galt. Prøv igjen om litt.",
+    Danish: "Noget gik galt. Prøv igen om lidt.",
+    Finnish: "Jokin meni vikaan. Yritä hetken päästä uudelleen.",
+    German: "Etwas ist schiefgelaufen. Bitte versuche es gleich noch einmal.",
+  },
+  handoff_message: {
+    Swedish: "Vill du hellre prata med någon i butiken? Här når du oss:",
+    English: "Would you rather talk to someone from the store? Reach us here:",
+    Norwegian: "Vil du heller snakke med noen i butikken? Her når du oss:",
+    Danish:
+      "Vil du hellere tale med nogen fra butikken? Her kan du kontakte os:",
+    Finnish:
+      "Haluatko mieluummin puhua myymälän henkilökunnan kanssa? Tavoitat meidät täältä:",
+    German:
+      "Möchtest du lieber mit jemandem aus dem Shop sprechen? So erreichst du uns:",
+  },
+  grounding_note: {
+    Swedish:
+      "Dubbelkolla gärna priser och villkor på webbplatsen innan du beställer.",
+    English:
+      "Please double-check prices and terms on the website before ordering.",
+    Norwegian:
+      "Dobbeltsjekk gjerne priser og vilkår på nettsiden før du bestiller.",
+    Danish:
+      "Dobbelttjek gerne priser og vilkår på hjemmesiden, før du bestiller.",
+    Finnish: "Tarkistathan hinnat ja ehdot verkkosivuilta ennen tilaamista.",
+    German:
+      "Bitte prüfe Preise und Bedingungen vor der Bestellung auf der Website.",
+  },
+  grounding_fallback: {
+    Swedish:
+      "Det är jag inte helt säker på. Kolla gärna på webbplatsen eller kontakta butiken, så får du rätt besked.",
+    English:
+      "I'm not completely sure about that. Please check the website or contact the store to get the right answer.",
+    Norwegian:
+      "Det er jeg ikke helt sikker på. Sjekk gjerne nettsiden eller kontakt butikken, så får du riktig svar.",
+    Danish:
+      "Det er jeg ikke helt sikker på. Tjek gerne hjemmesiden eller kontakt butikken, så får du det rigtige svar.",
+    Finnish:
+      "En ole tästä aivan varma. Tarkista tiedot verkkosivuilta tai ota yhteyttä myymälään.",
+    German:
+      "Da bin ich mir nicht ganz sicher. Schau bitte auf der Website nach oder kontaktiere den Shop.",
+  },
+  rate_limited: {
+    Swedish:
+      "Du skickar meddelanden lite för snabbt. Vänta en stund och försök igen.",
+    English:
+      "You're sending messages a bit too fast. Please wait a moment and try again.",
+    Norwegian: "Du sender meldinger litt for raskt. Vent litt og prøv igjen.",
+    Danish: "Du sender beskeder lidt for hurtigt. Vent lidt og prøv igen.",
+    Finnish:
+      "Lähetät viestejä vähän liian nopeasti. Odota hetki ja yritä uudelleen.",
+    German:
+      "Du sendest Nachrichten etwas zu schnell. Bitte warte einen Moment und versuche es erneut.",
+  },
+  message_too_long: {
+    Swedish: "Meddelandet är för långt. Försök att korta ner det lite.",
+    English: "Your message is too long. Please try to shorten it a little.",
+    Norwegian: "Meldingen er for lang. Prøv å korte den ned litt.",
+    Danish: "Beskeden er for lang. Prøv at gøre den lidt kortere.",
+    Finnish: "Viestisi on liian pitkä. Yritä lyhentää sitä hieman.",
+    German: "Deine Nachricht ist zu lang. Bitte versuche, sie etwas zu kürzen.",
+  },
+};
+
+/**
+ * Map a language parameter ("sv", "sv-SE", "Swedish", "svenska") to a
+ * supported language name. Returns null for unknown values.
+ */
+function normalizeLanguage(input) {
+  if (!input || typeof input !== "string") return null;
+  const value = input.trim().toLowerCase();
+
+  for (const [name, lang] of Object.entries(LANGUAGES)) {
+    if (name.toLowerCase() === value || lang.codes.includes(value)) {
+      return name;
+    }
+  }
+
+  // "sv_SE" / "sv-FI" style locales - match on the primary subtag
+  const primary = value.split(/[-_]/)[0];
+  for (const [name, lang] of Object.entries(LANGUAGES)) {
+    if (lang.codes.includes(primary)) return name;
+  }
+
+  return null;
+}
+
+/**
+ * Guess the language of a message from stopwords and special characters.
+ * Returns null when the text is too short or ambiguous to tell.
+ */
+function detectLanguage(text) {
+  const words = String(text || "")
+    .toLowerCase()
+    .match(/[\p{L}]+/gu);
+
+  if (!words || words.length < 2) return null;
+
+  const scores = LANGUAGE_NAMES.map((name) => {
+    const lang = LANGUAGES[name];
+    let score = words.filter((w) => lang.stopwords.has(w)).length;
+    if (lang.chars && lang.chars.test(text)) score += 1;
+    return { name, score };
+  }).sort((a, b) => b.score - a.score);
+
+  const [best, runnerUp] = scores;
+
+  // Need at least two signals and a clear winner
+  if (best.score < 2 || best.score === runnerUp.score) return null;
+
+  return best.name;
+}
+
+/**
+ * Get a localized visitor-facing string (falls back to English)
+ */
+function t(language, key) {
+  const entry = STRINGS[key];
+  if (!entry) return key;
+  return entry[language] || entry.English;
+}
+
+module.exports = {
+  LANGUAGE_NAMES,
+  normalizeLanguage,
+  detectLanguage,
+  t,
+};
@@ -6,6 +6,7 @@
 
 const crypto = require("crypto");
 const { pool } = require("../config/database");
+const { resolveFeatures } = require("./plan-features");
 
 // =============================================================================
 // KEY GENERATION
@@ -244,7 +245,7 @@ async function validateLicenseKey(plainKey, domain = null) {
           ? license.plan_limit - usage.conversations_used
           : null,
         resets_at: usage.period_end,
-        features: license.features || {},
+        features: resolveFeatures(license.features),
       },
     };
   } catch (err) {
@@ -506,6 +507,7 @@ module.exports = {
   listLicenseKeys,
 
   // Validation
+  hashKey,
   validateLicenseKey,
   quickValidate,
   getLicenseKeyId,
@@ -0,0 +1,384 @@
+/**
+ * LLM Provider Service
+ *
+ * One interface for every model call in the backend (chat, analytics,
+ * scoring, insight extraction, embeddings). Providers:
+ *   - claude: Anthropic Messages API
+ *   - openai: OpenAI Chat Completions + embeddings
+ *   - stub:   deterministic local provider, no network or API keys needed
+ *
+ * Select providers with AI_PROVIDER (chat), ANALYSIS_PROVIDER (scoring,
+ * insights, analytics) and EMBEDDING_PROVIDER. Setting AI_PROVIDER=stub
+ * makes the other two default to stub as well.
+ */
+
+const crypto = require("crypto");
+
+const AI_PROVIDER = process.env.AI_PROVIDER || "claude";
+const ANALYSIS_PROVIDER =
+  process.env.ANALYSIS_PROVIDER || (AI_PROVIDER === "stub" ? "stub" : "openai");
+const EMBEDDING_PROVIDER =
+  process.env.EMBEDDING_PROVIDER ||
+  (AI_PROVIDER === "stub" ? "stub" : "openai");
+
+const EMBEDDING_DIMENSIONS = 1536;
+
+// =============================================================================
+// CLIENTS (created lazily so a missing key only fails the provider using it)
+// =============================================================================
+
+let anthropicClient = null;
+let openaiClient = null;
+
+function getAnthropic() {
+  if (!anthropicClient) {
+    const Anthropic = require("@anthropic-ai/sdk");
+    anthropicClient = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+  }
+  return anthropicClient;
+}
+
+function getOpenAI() {
+  if (!openaiClient) {
+    const OpenAI = require("openai");
+    openaiClient = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+  return openaiClient;
+}
+
+// =============================================================================
+// PROVIDERS
+// =============================================================================
+
+/**
+ * Every provider implements:
+ *   models:                  { default, fast } model names
+ *   chatModels:              models a store may pick for chat or analysis
+ *   maxTemperature:          highest temperature the API accepts
+ *   chat(request)            -> text
+ *   stream(request, onDelta) -> full text
+ *   embed(texts)             -> vectors (optional)
+ *
+ * request = { model, system, context, messages, temperature, maxTokens,
+ *             jsonMode }
+ * `context` is retrieved store content; each provider places it where it
+ * works best for that API. `jsonMode` asks for a JSON object answer, using
+ * the API's JSON mode where there is one.
+ */
+const providers = {
+  claude: {
+    models: {
+      default: "claude-sonnet-4-20250514",
+      fast: "claude-3-5-haiku-20241022",
+    },
+    chatModels: [
+      "claude-opus-4-20250514",
+      "claude-sonnet-4-20250514",
+      "claude-3-7-sonnet-20250219",
+      "claude-3-5-haiku-20241022",
+    ],
+    maxTemperature: 1,
+
+    buildRequest({ model, system, context, messages, temperature, maxTokens }) {
+      // Claude API - system prompt is separate, combine with context
+      const fullSystem = [system, context].filter(Boolean).join("\n\n");
+      return {
+        model,
+        max_tokens: maxTokens,
+        ...(temperature !== undefined && { temperature }),
+        ...(fullSystem && { system: fullSystem }),
+        // No system messages in the array
+        messages: messages.filter((m) => m.role !== "system"),
+      };
+    },
+
+    async chat(request) {
+      const response = await getAnthropic().messages.create(
+        this.buildRequest(request)
+      );
+      return response.content[0]?.text || "";
+    },
+
+    async stream(request, onDelta) {
+      const stream = await getAnthropic().messages.create({
+        ...this.buildRequest(request),
+        stream: true,
+      });
+      let text = "";
+      for await (const event of stream) {
+        if (
+          event.type === "content_block_delta" &&
+          event.delta?.type === "text_delta"
+        ) {
+          text += event.delta.text;
+          onDelta(event.delta.text);
+        }
+      }
+      return text;
+    },
+  },
+
+  openai: {
+    models: {
+      default: "gpt-4o",
+      fast: "gpt-4o-mini",
+      embedding: "text-embedding-3-small",
+    },
+    chatModels: [
+      "gpt-4.1",
+      "gpt-4.1-mini",
+      "gpt-4.1-nano",
+      "gpt-4o",
+      "gpt-4o-mini",
+    ],
+    maxTemperature: 2,
+
+    buildRequest({
+      model,
+      system,
+      context,
+      messages,
+      temperature,
+      maxTokens,
+      jsonMode,
+    }) {
+      const all = [];
+      if (system) all.push({ role: "system", content: system });
+      all.push(...messages);
+      // Context goes after the conversation so it is fresh for the answer
+      if (context) all.push({ role: "system", content: context });
+      return {
+        model,
+        messages: all,
+        ...(temperature !== undefined && { temperature }),
+        max_tokens: maxTokens,
+        ...(jsonMode && { response_format: { type: "json_object" } }),
+      };
+    },
+
+    async chat(request) {
+      const completion = await getOpenAI().chat.completions.create(
+        this.buildRequest(request)
+      );
+      return completion.choices[0]?.message?.content || "";
+    },
+
+    async stream(request, onDelta) {
+      const stream = await getOpenAI().chat.completions.create({
+        ...this.buildRequest(request),
+        stream: true,
+      });
+      let text = "";
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onDelta(delta);
+        }
+      }
+      return text;
+    },
+
+    async embed(texts) {
+      const response = await getOpenAI().embeddings.create({
+        model: this.models.embedding,
+        input: texts,
+      });
+      return response.data.map((item) => item.embedding);
+    },
+  },
+
+  stub: {
+    models: { default: "stub-chat", fast: "stub-chat" },
+    chatModels: ["stub-chat"],
+    maxTemperature: 2,
+
+    async chat({ messages, jsonMode }) {
+      if (jsonMode) return "{}";
+      const lastUser = [...messages].reverse().find((m) => m.role === "user");
+      const question = lastUser ? String(lastUser.content).slice(0, 200) : "";
+      return `Thanks for your message! (stub reply to: "${question}")`;
+    },
+
+    async stream(request, onDelta) {
+      const text = await this.chat(request);
+      // Emit word by word so streaming clients can be exercised offline
+      const parts = text.match(/\S+\s*/g) || [];
+      parts.forEach((part) => onDelta(part));
+      return text;
+    },
+
+    async embed(texts) {
+      return texts.map(hashEmbedding);
+    },
+  },
+};
+
+const PROVIDER_NAMES = Object.keys(providers);
+
+// Provider name -> models a store may select
+const PROVIDER_MODELS = Object.fromEntries(
+  Object.entries(providers).map(([name, impl]) => [name, impl.chatModels])
+);
+
+// Provider name -> highest accepted temperature
+const PROVIDER_MAX_TEMPERATURE = Object.fromEntries(
+  Object.entries(providers).map(([name, impl]) => [name, impl.maxTemperature])
+);
+
+/**
+ * Deterministic bag-of-words embedding for the stub provider.
+ * Texts sharing words get similar vectors, so retrieval still behaves.
+ */
+function hashEmbedding(text) {
+  const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+  const words = String(text || "")
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu);
+
+  (words || []).forEach((word) => {
+    const hash = crypto.createHash("md5").update(word).digest();
+    const index = hash.readUInt32BE(0) % EMBEDDING_DIMENSIONS;
+    vector[index] += hash[4] & 1 ? 1 : -1;
+  });
+
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vector.map((v) => v / norm);
+}
+
+// =============================================================================
+// PUBLIC INTERFACE
+// =============================================================================
+
+/**
+ * Look up a provider by name
+ */
+function getProvider(name) {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(
+      `Unknown AI provider "${name}". Use one of: ${PROVIDER_NAMES.join(", ")}`
+    );
+  }
+  return provider;
+}
+
+/**
+ * Resolve provider + model for a call.
+ * `model` wins when given, otherwise the provider's model for `tier`.
+ */
+function resolveCall({ provider, model, tier = "default" }, fallbackProvider) {
+  const providerName = provider || fallbackProvider;
+  const impl = getProvider(providerName);
+  return {
+    providerName,
+    impl,
+    model: model || impl.models[tier] || impl.models.default,
+  };
+}
+
+/**
+ * Generate a chat completion
+ *
+ * @param {Object} options
+ * @param {string} [options.provider] - Provider name (defaults to AI_PROVIDER)
+ * @param {string} [options.model] - Model name (defaults to provider default)
+ * @param {string} [options.tier] - "default" or "fast" when no model is given
+ * @param {string} [options.system] - System prompt
+ * @param {string} [options.context] - Retrieved context for this turn
+ * @param {Array} options.messages - [{ role: "user"|"assistant", content }]
+ * @param {number} [options.temperature]
+ * @param {number} [options.maxTokens]
+ * @returns {Object} { text, provider, model }
+ */
+async function chatCompletion(options) {
+  const { providerName, impl, model } = resolveCall(options, AI_PROVIDER);
+  const text = await impl.chat({
+    model,
+    system: options.system,
+    context: options.context,
+    messages: options.messages || [],
+    temperature: options.temperature,
+    maxTokens: options.maxTokens || 500,
+    jsonMode: options.jsonMode,
+  });
+  return { text, provider: providerName, model };
+}
+
+/**
+ * Stream a chat completion, calling onDelta for each text fragment.
+ * Same options as chatCompletion. Resolves with { text, provider, model }.
+ */
+async function streamChatCompletion(options, onDelta) {
+  const { providerName, impl, model } = resolveCall(options, AI_PROVIDER);
+  const text = await impl.stream(
+    {
+      model,
+      system: options.system,
+      context: options.context,
+      messages: options.messages || [],
+      temperature: options.temperature,
+      maxTokens: options.maxTokens || 500,
+    },
+    onDelta
+  );
+  return { text, provider: providerName, model };
+}
+
+/**
+ * Ask for a JSON answer and parse it
+ *
+ * @param {Object} options - Same as chatCompletion plus `prompt` (user message).
+ *   Defaults to ANALYSIS_PROVIDER.
+ * @returns {Object} { success, data, text } or { success: false, error, text }
+ */
+async function completeJson(options) {
+  const { text } = await chatCompletion({
+    ...options,
+    provider: options.provider || ANALYSIS_PROVIDER,
+    messages: options.messages || [{ role: "user", content: options.prompt }],
+    jsonMode: true,
+  });
+
+  const responseText = text || "{}";
+  try {
+    const cleanJson = responseText
+      .replace(/```json\n?/g, "")
+      .replace(/```\n?/g, "")
+      .trim();
+    return { success: true, data: JSON.parse(cleanJson), text: responseText };
+  } catch (parseErr) {
+    return {
+      success: false,
+      error: "Failed to parse JSON response",
+      text: responseText,
+    };
+  }
+}
+
+/**
+ * Embed a batch of texts with the embedding provider
+ */
+async function embedBatch(texts) {
+  const impl = getProvider(EMBEDDING_PROVIDER);
+  if (!impl.embed) {
+    throw new Error(
+      `Provider "${EMBEDDING_PROVIDER}" does not support embeddings`
+    );
+  }
+  return impl.embed(texts);
+}
+
+module.exports = {
+  AI_PROVIDER,
+  ANALYSIS_PROVIDER,
+  EMBEDDING_PROVIDER,
+  PROVIDER_NAMES,
+  PROVIDER_MODELS,
+  PROVIDER_MAX_TEMPERATURE,
+  getProvider,
+  chatCompletion,
+  streamChatCompletion,
+  completeJson,
+  embedBatch,
+};
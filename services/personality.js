@@ -0,0 +1,201 @@
+/**
+ * Personality Service
+ *
+ * Schema, validation and normalization for the stores.personality JSON.
+ * The prompt builder (prompt-process.js) turns the normalized object into
+ * instructions for the assistant.
+ */
+
+const PERSONALITY_SCHEMA = {
+  tone: {
+    type: "enum",
+    values: [
+      "warm",
+      "friendly",
+      "professional",
+      "playful",
+      "calm",
+      "enthusiastic",
+    ],
+    default: "warm",
+  },
+  formality: {
+    type: "enum",
+    values: ["casual", "neutral", "formal"],
+    default: "neutral",
+  },
+  emoji_use: {
+    type: "enum",
+    values: ["none", "minimal", "frequent"],
+    default: "none",
+  },
+  persona_name: { type: "string", maxLength: 50, default: null },
+  greeting: { type: "string", maxLength: 300, default: null },
+  banned_topics: {
+    type: "string_list",
+    maxItems: 20,
+    maxLength: 100,
+    default: [],
+  },
+  custom_instructions: { type: "string", maxLength: 2000, default: null },
+  example_dialogues: {
+    type: "dialogues",
+    maxItems: 10,
+    maxLength: 600,
+    default: [],
+  },
+};
+
+/**
+ * Validate one field. Returns { value } or { error }
+ */
+function validateField(key, raw) {
+  const schema = PERSONALITY_SCHEMA[key];
+
+  if (raw === null || raw === undefined) {
+    return { value: schema.default };
+  }
+
+  switch (schema.type) {
+    case "enum":
+      if (!schema.values.includes(raw)) {
+        return { error: `${key} must be one of: ${schema.values.join(", ")}` };
+      }
+      return { value: raw };
+
+    case "string":
+      if (typeof raw !== "string") {
+        return { error: `${key} must be a string` };
+      }
+      if (raw.length > schema.maxLength) {
+        return {
+          error: `${key} must be at most ${schema.maxLength} characters`,
+        };
+      }
+      return { value: raw.trim() || null };
+
+    case "string_list":
+      if (!Array.isArray(raw) || raw.some((v) => typeof v !== "string")) {
+        return { error: `${key} must be an array of strings` };
+      }
+      if (raw.length > schema.maxItems) {
+        return { error: `${key} can have at most ${schema.maxItems} entries` };
+      }
+      if (raw.some((v) => v.length > schema.maxLength)) {
+        return {
+          error: `each ${key} entry must be at most ${schema.maxLength} characters`,
+        };
+      }
+      return { value: raw.map((v) => v.trim()).filter(Boolean) };
+
+    case "dialogues":
+      if (!Array.isArray(raw)) {
+        return { error: `${key} must be an array` };
+      }
+      if (raw.length > schema.maxItems) {
+        return { error: `${key} can have at most ${schema.maxItems} entries` };
+      }
+      for (const d of raw) {
+        if (
+          !d ||
+          typeof d.visitor !== "string" ||
+          typeof d.assistant !== "string" ||
+          !d.visitor.trim() ||
+          !d.assistant.trim()
+        ) {
+          return {
+            error: `each ${key} entry needs non-empty "visitor" and "assistant" strings`,
+          };
+        }
+        if (
+          d.visitor.length > schema.maxLength ||
+          d.assistant.length > schema.maxLength
+        ) {
+          return {
+            error: `${key} lines must be at most ${schema.maxLength} characters`,
+          };
+        }
+      }
+      return {
+        value: raw.map((d) => ({
+          visitor: d.visitor.trim(),
+          assistant: d.assistant.trim(),
+        })),
+      };
+
+    default:
+      return { error: `Unsupported field ${key}` };
+  }
+}
+
+/**
+ * Validate a personality object from the API.
+ * Unknown keys are rejected so typos don't silently do nothing, unless
+ * ignoreUnknown is set: registration accepts the free-form personality
+ * older plugins send and drops the keys it doesn't know.
+ *
+ * @returns {Object} { valid, errors, personality, ignored } - personality is
+ *   normalized; ignored lists dropped unknown keys
+ */
+function validatePersonality(input, { ignoreUnknown = false } = {}) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return {
+      valid: false,
+      errors: ["personality must be an object"],
+      personality: null,
+      ignored: [],
+    };
+  }
+
+  const errors = [];
+  const personality = {};
+  const unknown = Object.keys(input).filter((key) => !PERSONALITY_SCHEMA[key]);
+
+  if (!ignoreUnknown) {
+    for (const key of unknown) {
+      errors.push(
+        `Unknown personality field "${key}". Allowed: ${Object.keys(
+          PERSONALITY_SCHEMA
+        ).join(", ")}`
+      );
+    }
+  }
+
+  for (const key of Object.keys(PERSONALITY_SCHEMA)) {
+    const { value, error } = validateField(key, input[key]);
+    if (error) {
+      errors.push(error);
+    } else {
+      personality[key] = value;
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    personality: errors.length === 0 ? personality : null,
+    ignored: ignoreUnknown ? unknown : [],
+  };
+}
+
+/**
+ * Normalize a stored personality for prompt building.
+ * Lenient: invalid or legacy fields fall back to defaults instead of failing.
+ */
+function normalizePersonality(stored) {
+  const source = stored && typeof stored === "object" ? stored : {};
+  const personality = {};
+
+  for (const key of Object.keys(PERSONALITY_SCHEMA)) {
+    const { value, error } = validateField(key, source[key]);
+    personality[key] = error ? PERSONALITY_SCHEMA[key].default : value;
+  }
+
+  return personality;
+}
+
+module.exports = {
+  PERSONALITY_SCHEMA,
+  validatePersonality,
+  normalizePersonality,
+};
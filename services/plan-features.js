@@ -0,0 +1,127 @@
+/**
+ * Plan Features Service
+ *
+ * Registry of the feature flags kept in plan_limits.features. Routes gate
+ * on them with storeAuth({ feature }) (store owner API) or hasFeature()
+ * (chat). To add a flag: register it here, give it a value per plan in the
+ * plan_limits seed (config/database.js) and check it where it applies.
+ *
+ * A plan that doesn't set a flag gets its default. Flags for things that
+ * existed before they were gated (streaming, multiple cards, FAQs) default
+ * to on so custom plans keep working.
+ */
+
+const { pool } = require("../config/database");
+
+const PLAN_FEATURES = {
+  analytics: {
+    description: "Analytics overview, conversation list and AI insights",
+    default: false,
+  },
+  priority_support: {
+    description: "Priority support (informational)",
+    default: false,
+  },
+  streaming: {
+    description: "Streamed chat answers (/chat/stream)",
+    default: true,
+  },
+  multi_card: {
+    description: "Several content cards per answer (card_mode multiple)",
+    default: true,
+  },
+  custom_faq: {
+    description: "Store FAQ knowledge base, used first in chat answers",
+    default: true,
+  },
+  export: {
+    description: "Conversation export (informational, no endpoint yet)",
+    default: false,
+  },
+};
+
+/**
+ * Every registered flag for a plan, defaults filled in
+ */
+function resolveFeatures(features) {
+  const resolved = {};
+  for (const [name, flag] of Object.entries(PLAN_FEATURES)) {
+    const value = features?.[name];
+    resolved[name] = typeof value === "boolean" ? value : flag.default;
+  }
+  return resolved;
+}
+
+/**
+ * Whether a flag is on for a plan's features JSON, its default if unset
+ */
+function hasFeature(features, name) {
+  return resolveFeatures(features)[name] === true;
+}
+
+/**
+ * Validate a feature update: registered flags with boolean values.
+ * Returns { value } or { error }
+ */
+function validateFeatures(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "features must be an object" };
+  }
+
+  const unknown = Object.keys(input).filter((name) => !PLAN_FEATURES[name]);
+  if (unknown.length > 0) {
+    return {
+      error: `Unknown features: ${unknown.join(", ")} (known: ${Object.keys(
+        PLAN_FEATURES
+      ).join(", ")})`,
+    };
+  }
+
+  const notBoolean = Object.keys(input).filter(
+    (name) => typeof input[name] !== "boolean"
+  );
+  if (notBoolean.length > 0) {
+    return {
+      error: `Features must be true or false: ${notBoolean.join(", ")}`,
+    };
+  }
+
+  return { value: input };
+}
+
+/**
+ * Set flags on a plan; flags not given keep their value.
+ * Returns the updated plan or null if it doesn't exist.
+ */
+async function updatePlanFeatures(planName, features) {
+  const result = await pool.query(
+    `UPDATE plan_limits SET features = COALESCE(features, '{}') || $2::jsonb
+     WHERE plan_name = $1
+     RETURNING *`,
+    [planName, JSON.stringify(features)]
+  );
+  if (result.rowCount === 0) return null;
+
+  const plan = result.rows[0];
+  return { ...plan, features: resolveFeatures(plan.features) };
+}
+
+/**
+ * The registry for admin listings
+ */
+function describeFeatures() {
+  return Object.entries(PLAN_FEATURES).map(([name, flag]) => ({
+    name,
+    description: flag.description,
+    default: flag.default,
+  }));
+}
+
+module.exports = {
+  PLAN_FEATURES,
+  resolveFeatures,
+  hasFeature,
+  validateFeatures,
+  updatePlanFeatures,
+  describeFeatures,
+};
@@ -0,0 +1,396 @@
+/**
+ * Product Filters Service
+ *
+ * Structured product attributes and faceted filtering for chat.
+ *
+ * The indexer normalizes attributes from the /index-store payload (numeric
+ * price, sale price, currency, SKU, categories, tags, sizes, colors). At
+ * chat time we parse simple constraints from the visitor's message -
+ * "under 300 kr", "between 200 and 400", "in blue", "size M", "on sale",
+ * "cheapest" - and apply them before semantic ranking. Color, size and
+ * category matching uses the store's own values, so it works in any
+ * language the catalog is written in.
+ */
+
+const { parsePrice } = require("../utils/helpers");
+const {
+  collectVariantOptions,
+  variantHasValues,
+} = require("./product-variants");
+
+// Common colors, so "blå" finds products tagged "Blue" and vice versa
+const COLOR_SYNONYMS = [
+  ["black", "svart", "svarta", "musta", "schwarz"],
+  [
+    "white",
+    "vit",
+    "vita",
+    "vitt",
+    "hvit",
+    "hvid",
+    "valkoinen",
+    "weiß",
+    "weiss",
+  ],
+  ["red", "röd", "röda", "rött", "rød", "punainen", "rot"],
+  ["blue", "blå", "blåa", "blått", "sininen", "blau"],
+  ["green", "grön", "gröna", "grönt", "grønn", "grøn", "vihreä", "grün"],
+  ["yellow", "gul", "gula", "gult", "keltainen", "gelb"],
+  ["pink", "rosa", "lyserød", "vaaleanpunainen"],
+  ["purple", "lila", "violett", "violetti"],
+  ["orange", "oransje", "oranssi"],
+  ["brown", "brun", "bruna", "brunt", "ruskea", "braun"],
+  ["grey", "gray", "grå", "gråa", "harmaa", "grau"],
+  ["beige"],
+  ["gold", "guld", "gull", "kulta"],
+  ["silver", "sølv", "hopea", "silber"],
+];
+
+// Amount with an optional currency, e.g. "300", "300 kr", "$30", "1 299:-"
+const AMOUNT = String.raw`(?:[$€£]\s?)?(\d[\d\s]*(?:[.,]\d+)?)\s?(?:kr|sek|nok|dkk|eur|euro|€|usd|dollars?|:-)?`;
+
+const PRICE_RANGE_PATTERNS = [
+  // "between 200 and 400", "mellan 200 och 400", "200-400 kr"
+  {
+    pattern: new RegExp(
+      String.raw`(?:mellan|between|zwischen|välillä)\s+${AMOUNT}\s*(?:och|and|og|und|ja|-|–)\s*${AMOUNT}`,
+      "i"
+    ),
+    range: (m) => [m[1], m[2]],
+  },
+  {
+    pattern: new RegExp(
+      String.raw`\b(\d+)\s?[-–]\s?(\d+)\s?(?:kr|sek|nok|dkk|eur|€|usd|:-)`,
+      "i"
+    ),
+    range: (m) => [m[1], m[2]],
+  },
+  // "under 300 kr", "max 300", "billigare än 300", "less than $30"
+  {
+    pattern: new RegExp(
+      String.raw`(?:under|below|max(?:imum)?|högst|upp till|up to|less than|cheaper than|billigare än|mindre än|billigere enn|billigere end|unter|bis|höchstens)\s+${AMOUNT}`,
+      "i"
+    ),
+    range: (m) => [null, m[1]],
+  },
+  // "över 500", "more than 500", "minst 200"
+  {
+    pattern: new RegExp(
+      String.raw`(?:över|over|above|more than|minst|at least|dyrare än|mer än|yli|über|mindestens)\s+${AMOUNT}`,
+      "i"
+    ),
+    range: (m) => [m[1], null],
+  },
+];
+
+const CHEAPEST_PATTERN =
+  /billigast|billigaste|cheapest|least expensive|lowest price|billigste|halvin|günstigste|billigsten/i;
+const MOST_EXPENSIVE_PATTERN =
+  /dyrast|dyraste|most expensive|highest price|dyreste|dyrest|kallein|teuerste/i;
+const COMPARISON_PATTERN =
+  /jämför|jämföra|skillnad(en)?|compare|comparison|difference|versus|\bvs\.?\b|sammenlign|forskjell|forskel|vertaa|vergleich|unterschied/i;
+const ON_SALE_PATTERN =
+  /\b(rea|på rea|nedsatt|on sale|discounted|tilbud|udsalg|alennus|angebot|reduziert)\b/i;
+
+/**
+ * Names from a list of strings or { name } objects
+ */
+function toNameList(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : [value];
+  return [
+    ...new Set(
+      list
+        .map((v) => (v && typeof v === "object" ? v.name || v.value : v))
+        .filter((v) => typeof v === "string" || typeof v === "number")
+        .map((v) => String(v).trim())
+        .filter(Boolean)
+    ),
+  ];
+}
+
+/**
+ * Normalize structured attributes from an /index-store product.
+ * Accepts price as number or text, regular_price/sale_price as sent by
+ * WooCommerce, and free-form `attributes` ({ material: ["Wood"] }).
+ * Options and prices of normalized variants are merged in, so a parent
+ * without its own price gets its cheapest variant's.
+ */
+function normalizeProductAttributes(product, variants = []) {
+  const p = product || {};
+  const variantPrices = (key) =>
+    variants.map((v) => v[key]).filter((amount) => amount !== null);
+
+  let regular = parsePrice(p.regular_price ?? p.price);
+  let sale = parsePrice(p.sale_price);
+  if (regular === null && variantPrices("price_amount").length > 0) {
+    regular = Math.min(...variantPrices("price_amount"));
+  }
+  if (sale === null && variantPrices("sale_price_amount").length > 0) {
+    sale = Math.min(...variantPrices("sale_price_amount"));
+  }
+  const onSale = sale !== null && (regular === null || sale < regular);
+
+  const attributes = {};
+  if (p.attributes && typeof p.attributes === "object") {
+    for (const [name, values] of Object.entries(p.attributes)) {
+      const list = toNameList(values);
+      if (list.length > 0) attributes[name.toLowerCase()] = list;
+    }
+  }
+  const options = collectVariantOptions(variants);
+  for (const [name, values] of Object.entries(options.other)) {
+    attributes[name] = [...new Set([...(attributes[name] || []), ...values])];
+  }
+  const sizes = toNameList([...toNameList(p.sizes), ...options.sizes]);
+  const colors = toNameList([...toNameList(p.colors), ...options.colors]);
+  if (sizes.length > 0) attributes.sizes = sizes;
+  if (colors.length > 0) attributes.colors = colors;
+
+  return {
+    price_amount: regular,
+    sale_price_amount: onSale ? sale : null,
+    currency: typeof p.currency === "string" ? p.currency.trim() || null : null,
+    sku: p.sku ? String(p.sku).trim() || null : null,
+    categories: toNameList(p.categories),
+    tags: toNameList(p.tags),
+    attributes,
+  };
+}
+
+/**
+ * The price a visitor pays right now
+ */
+function effectivePrice(item) {
+  const sale = item.sale_price_amount;
+  if (sale !== null && sale !== undefined) return Number(sale);
+  const regular = item.price_amount ?? parsePrice(item.price);
+  return regular === null || regular === undefined ? null : Number(regular);
+}
+
+/**
+ * Collect the store's filterable values from its products
+ */
+function buildFacets(items) {
+  const facets = { colors: new Set(), sizes: new Set(), categories: new Set() };
+
+  for (const item of items) {
+    if (item.type !== "product") continue;
+    (item.attributes?.colors || []).forEach((c) => facets.colors.add(c));
+    (item.attributes?.sizes || []).forEach((s) => facets.sizes.add(s));
+    (item.categories || []).forEach((c) => facets.categories.add(c));
+  }
+
+  return {
+    colors: [...facets.colors],
+    sizes: [...facets.sizes],
+    categories: [...facets.categories],
+  };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Whole-word, case-insensitive match that also works for å/ä/ö
+ */
+function mentions(message, word) {
+  return new RegExp(
+    `(^|[^\\p{L}\\p{N}])${escapeRegExp(word)}($|[^\\p{L}\\p{N}])`,
+    "iu"
+  ).test(message);
+}
+
+/**
+ * Words that refer to the same color as a store value ("Blue" -> blå, blue...)
+ */
+function colorAliases(color) {
+  const lower = color.toLowerCase();
+  const group = COLOR_SYNONYMS.find((g) => g.includes(lower));
+  return group || [lower];
+}
+
+/**
+ * Parse filters from a visitor message
+ *
+ * @param {string} message - The visitor's message
+ * @param {Object} facets - Store values from buildFacets()
+ * @returns {Object} { minPrice, maxPrice, colors, sizes, categories, onSale, sort }
+ */
+function parseQueryFilters(message, facets) {
+  const filters = {
+    minPrice: null,
+    maxPrice: null,
+    colors: [],
+    sizes: [],
+    categories: [],
+    onSale: false,
+    sort: null,
+  };
+  const text = String(message || "");
+
+  for (const { pattern, range } of PRICE_RANGE_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      const [min, max] = range(match);
+      filters.minPrice = parsePrice(min);
+      filters.maxPrice = parsePrice(max);
+      break;
+    }
+  }
+
+  if (CHEAPEST_PATTERN.test(text)) filters.sort = "price_asc";
+  else if (MOST_EXPENSIVE_PATTERN.test(text)) filters.sort = "price_desc";
+
+  filters.onSale = ON_SALE_PATTERN.test(text);
+
+  filters.colors = facets.colors.filter((color) =>
+    colorAliases(color).some((alias) => mentions(text, alias))
+  );
+
+  // Sizes need a size word nearby for short values like "S" or "M"
+  filters.sizes = facets.sizes.filter((size) =>
+    size.length > 2
+      ? mentions(text, size)
+      : new RegExp(
+          `(storlek|size|str\\.?|koko|größe|størrelse)\\s*${escapeRegExp(
+            size
+          )}($|[^\\p{L}\\p{N}])`,
+          "iu"
+        ).test(text)
+  );
+
+  filters.categories = facets.categories.filter((category) =>
+    mentions(text, category)
+  );
+
+  return filters;
+}
+
+/**
+ * Whether the visitor wants to compare products
+ */
+function isComparisonQuery(message) {
+  return COMPARISON_PATTERN.test(String(message || ""));
+}
+
+/**
+ * Whether any filter is set
+ */
+function hasFilters(filters) {
+  return (
+    filters.minPrice !== null ||
+    filters.maxPrice !== null ||
+    filters.colors.length > 0 ||
+    filters.sizes.length > 0 ||
+    filters.categories.length > 0 ||
+    filters.onSale
+  );
+}
+
+/**
+ * Keep the products matching the filters. Pages pass through untouched.
+ */
+function applyProductFilters(items, filters) {
+  const lowerList = (list) => (list || []).map((v) => v.toLowerCase());
+  const wanted = (list) => list.map((v) => v.toLowerCase());
+  const colors = wanted(filters.colors);
+  const sizes = wanted(filters.sizes);
+  const categories = wanted(filters.categories);
+
+  return items.filter((item) => {
+    if (item.type !== "product") return true;
+
+    const price = effectivePrice(item);
+    if (
+      filters.minPrice !== null &&
+      (price === null || price < filters.minPrice)
+    )
+      return false;
+    if (
+      filters.maxPrice !== null &&
+      (price === null || price > filters.maxPrice)
+    )
+      return false;
+
+    if (
+      filters.onSale &&
+      (item.sale_price_amount === null || item.sale_price_amount === undefined)
+    )
+      return false;
+
+    // With variants, a size/color only counts if a variant in stock has it
+    if (item.variants?.length > 0 && (colors.length > 0 || sizes.length > 0)) {
+      const available = item.variants.some(
+        (v) =>
+          v.in_stock &&
+          (colors.length === 0 ||
+            colors.some((c) => variantHasValues(v, [c]))) &&
+          (sizes.length === 0 || sizes.some((sz) => variantHasValues(v, [sz])))
+      );
+      if (!available) return false;
+    } else {
+      if (
+        colors.length > 0 &&
+        !lowerList(item.attributes?.colors).some((c) => colors.includes(c))
+      )
+        return false;
+      if (
+        sizes.length > 0 &&
+        !lowerList(item.attributes?.sizes).some((s) => sizes.includes(s))
+      )
+        return false;
+    }
+    if (
+      categories.length > 0 &&
+      !lowerList(item.categories).some((c) => categories.includes(c))
+    )
+      return false;
+
+    return true;
+  });
+}
+
+/**
+ * Sort scored products by price for "cheapest" / "most expensive" queries.
+ * Products without a price go last.
+ */
+function sortByPrice(scored, direction) {
+  const sign = direction === "price_desc" ? -1 : 1;
+  return [...scored].sort((a, b) => {
+    const priceA = effectivePrice(a.item);
+    const priceB = effectivePrice(b.item);
+    if (priceA === null) return 1;
+    if (priceB === null) return -1;
+    return sign * (priceA - priceB);
+  });
+}
+
+/**
+ * Compact description of applied filters for debug output
+ */
+function describeFilters(filters) {
+  const parts = [];
+  if (filters.minPrice !== null) parts.push(`price >= ${filters.minPrice}`);
+  if (filters.maxPrice !== null) parts.push(`price <= ${filters.maxPrice}`);
+  if (filters.colors.length) parts.push(`color: ${filters.colors.join("/")}`);
+  if (filters.sizes.length) parts.push(`size: ${filters.sizes.join("/")}`);
+  if (filters.categories.length)
+    parts.push(`category: ${filters.categories.join("/")}`);
+  if (filters.onSale) parts.push("on sale");
+  if (filters.sort) parts.push(`sort: ${filters.sort}`);
+  return parts;
+}
+
+module.exports = {
+  normalizeProductAttributes,
+  effectivePrice,
+  buildFacets,
+  parseQueryFilters,
+  isComparisonQuery,
+  hasFilters,
+  applyProductFilters,
+  sortByPrice,
+  describeFilters,
+};
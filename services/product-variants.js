@@ -0,0 +1,164 @@
+/**
+ * Product Variants Service
+ *
+ * Variants (size, color...) with their own price, stock, image and URL,
+ * as sent by WooCommerce-style stores. They are stored as JSONB on the
+ * parent product's store_items row; the parent carries the combined
+ * options and is in stock when any variant is.
+ */
+
+const { parsePrice } = require("../utils/helpers");
+
+// Variant attribute names that map onto the size / color facets
+const SIZE_NAMES = /^(pa_)?(size|storlek|størrelse|koko|größe|groesse|str)$/i;
+const COLOR_NAMES = /^(pa_)?(colou?r|färg|farve|farge|väri|farbe)$/i;
+
+// Variants listed per product in the chat context
+const MAX_CONTEXT_VARIANTS = 10;
+
+/**
+ * Normalize the variants of an /index-store product. Variant attributes
+ * may be an object ({ size: "M" }) or WooCommerce-style
+ * [{ name: "Size", option: "M" }].
+ */
+function normalizeVariants(product) {
+  const raw = Array.isArray(product?.variants) ? product.variants : [];
+
+  return raw
+    .filter((v) => v && typeof v === "object")
+    .map((v, idx) => {
+      const attributes = {};
+      if (Array.isArray(v.attributes)) {
+        v.attributes.forEach((a) => {
+          const value = a?.option ?? a?.value;
+          if (a?.name && value !== undefined && value !== null) {
+            attributes[String(a.name).toLowerCase()] = String(value).trim();
+          }
+        });
+      } else if (v.attributes && typeof v.attributes === "object") {
+        for (const [name, value] of Object.entries(v.attributes)) {
+          if (value !== undefined && value !== null && value !== "") {
+            attributes[name.toLowerCase()] = String(value).trim();
+          }
+        }
+      }
+
+      const regular = parsePrice(v.regular_price ?? v.price);
+      const sale = parsePrice(v.sale_price);
+      const onSale = sale !== null && (regular === null || sale < regular);
+      const stockQuantity = Number.isInteger(v.stock_quantity)
+        ? v.stock_quantity
+        : null;
+
+      return {
+        id: String(v.id ?? idx),
+        sku: v.sku ? String(v.sku) : null,
+        attributes,
+        price: v.price !== undefined && v.price !== null ? String(v.price) : "",
+        price_amount: regular,
+        sale_price_amount: onSale ? sale : null,
+        in_stock:
+          v.in_stock !== undefined
+            ? v.in_stock !== false
+            : v.stock_status
+            ? v.stock_status === "instock"
+            : stockQuantity === null || stockQuantity > 0,
+        stock_quantity: stockQuantity,
+        image_url: v.image_url || null,
+        url: v.url || null,
+      };
+    });
+}
+
+/**
+ * Combined options of all variants, split into sizes, colors and other
+ * named attributes - merged into the parent's attributes for filtering
+ */
+function collectVariantOptions(variants) {
+  const options = { sizes: new Set(), colors: new Set(), other: {} };
+
+  for (const variant of variants) {
+    for (const [name, value] of Object.entries(variant.attributes)) {
+      if (SIZE_NAMES.test(name)) options.sizes.add(value);
+      else if (COLOR_NAMES.test(name)) options.colors.add(value);
+      else {
+        options.other[name] = options.other[name] || new Set();
+        options.other[name].add(value);
+      }
+    }
+  }
+
+  return {
+    sizes: [...options.sizes],
+    colors: [...options.colors],
+    other: Object.fromEntries(
+      Object.entries(options.other).map(([name, set]) => [name, [...set]])
+    ),
+  };
+}
+
+/**
+ * Short label for a variant, e.g. "M / Blue"
+ */
+function variantLabel(variant) {
+  return Object.values(variant.attributes).join(" / ") || variant.sku || "";
+}
+
+/**
+ * Whether a variant has all the wanted values (case-insensitive)
+ */
+function variantHasValues(variant, values) {
+  const own = Object.values(variant.attributes).map((v) => v.toLowerCase());
+  return values.every((value) => own.includes(value.toLowerCase()));
+}
+
+/**
+ * Pick the variant matching the sizes/colors the visitor asked about,
+ * preferring one in stock. Returns null when nothing was asked or matched.
+ *
+ * @param {Object} item - Product with `variants`
+ * @param {Object} filters - From parseQueryFilters()
+ */
+function findMatchingVariant(item, filters) {
+  const variants = item.variants || [];
+  if (variants.length === 0 || !filters) return null;
+
+  // One size and one color at most - "M or L" can't pick a single variant
+  const wanted = [filters.sizes?.[0], filters.colors?.[0]].filter(Boolean);
+  if (wanted.length === 0) return null;
+
+  const matches = variants.filter((v) => variantHasValues(v, wanted));
+  return matches.find((v) => v.in_stock) || matches[0] || null;
+}
+
+/**
+ * Variant lines for the chat context, so the assistant can answer
+ * availability questions ("do you have it in M?")
+ */
+function describeVariants(variants, currency) {
+  if (!variants?.length) return "";
+
+  const suffix = currency ? ` ${currency}` : "";
+  const lines = variants.slice(0, MAX_CONTEXT_VARIANTS).map((v) => {
+    const amount = v.sale_price_amount ?? v.price_amount;
+    const price = amount !== null ? `${amount}${suffix}` : v.price;
+    return `${variantLabel(v)}${price ? ` ${price}` : ""} - ${
+      v.in_stock ? "in stock" : "out of stock"
+    }`;
+  });
+
+  const more =
+    variants.length > MAX_CONTEXT_VARIANTS
+      ? `; +${variants.length - MAX_CONTEXT_VARIANTS} more`
+      : "";
+  return `Variants: ${lines.join("; ")}${more}`;
+}
+
+module.exports = {
+  normalizeVariants,
+  collectVariantOptions,
+  variantLabel,
+  variantHasValues,
+  findMatchingVariant,
+  describeVariants,
+};
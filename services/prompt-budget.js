@@ -0,0 +1,225 @@
+/**
+ * Prompt Budget Service
+ *
+ * Assembles the chat prompt within a token budget (prompt_token_budget
+ * setting). The system prompt, store facts, matching FAQs and the
+ * visitor's message always go in; what's left is shared between history,
+ * products and pages. A section that needs less than its share hands the rest to the others.
+ *
+ * Large catalogs degrade gracefully: product descriptions and page texts
+ * get shorter first, then the lowest-ranked items are dropped.
+ */
+
+const {
+  PRODUCTS_HEADER,
+  PAGES_HEADER,
+  formatFacts,
+  formatFaqs,
+  formatProduct,
+  formatPage,
+  buildContextMessage,
+} = require("./prompt-process");
+const { fitToBudget } = require("./conversation-history");
+const { estimateTokens } = require("../utils/helpers");
+
+// Share of the remaining budget per section
+const SECTION_SHARES = { history: 0.3, products: 0.45, pages: 0.25 };
+
+// Text lengths tried per item, longest first
+const DESCRIPTION_LEVELS = [400, 150, 60, 0];
+const PAGE_LEVELS = [1500, 800, 400];
+
+/**
+ * Fit ranked items into a budget: the longest text level at which all
+ * items fit, or else as many items as fit at the shortest level
+ *
+ * @returns {Object} { count, level, tokens }
+ */
+function fitSection(items, levels, render, header, budget) {
+  if (items.length === 0) return { count: 0, level: levels[0], tokens: 0 };
+
+  const headerTokens = estimateTokens(header);
+  for (const level of levels) {
+    const tokens = items.reduce(
+      (sum, item) => sum + estimateTokens(render(item, level)),
+      headerTokens
+    );
+    if (tokens <= budget) return { count: items.length, level, tokens };
+  }
+
+  const level = levels[levels.length - 1];
+  let tokens = headerTokens;
+  let count = 0;
+  for (const item of items) {
+    const cost = estimateTokens(render(item, level));
+    if (tokens + cost > budget) break;
+    tokens += cost;
+    count++;
+  }
+  return count > 0 ? { count, level, tokens } : { count: 0, level, tokens: 0 };
+}
+
+/**
+ * Split the available tokens between sections by SECTION_SHARES. Sections
+ * needing less than their share get what they need; the rest is divided
+ * among the others.
+ */
+function allocate(needs, available) {
+  const allocation = {};
+  let left = available;
+  const over = [];
+
+  for (const [section, share] of Object.entries(SECTION_SHARES)) {
+    if (needs[section] <= available * share) {
+      allocation[section] = needs[section];
+      left -= needs[section];
+    } else {
+      over.push(section);
+    }
+  }
+
+  const overShares = over.reduce((sum, s) => sum + SECTION_SHARES[s], 0);
+  over.forEach((section) => {
+    allocation[section] = Math.floor(
+      (left * SECTION_SHARES[section]) / overShares
+    );
+  });
+
+  return allocation;
+}
+
+/**
+ * Build the context and message list for the model within the budget
+ *
+ * @param {Object} parts
+ * @param {string} parts.systemPrompt
+ * @param {string} parts.message - The visitor's message
+ * @param {Array} parts.facts - From loadStoreFacts()
+ * @param {Array} parts.faqs - Matching FAQ results, best first
+ * @param {Array} parts.products - Ranked { item, score } results
+ * @param {Array} parts.pages - Ranked { item, score } results
+ * @param {Object} parts.history - From loadConversationHistory()
+ * @param {number} totalBudget - Prompt tokens (excluding the answer)
+ * @returns {Object} { context, messages, products, pages, budget }
+ */
+function assemblePrompt(parts, totalBudget) {
+  const { systemPrompt, message, facts, products, pages, history } = parts;
+  const faqText = formatFaqs(parts.faqs);
+  const items = (results) => results.map((r) => r.item || r);
+
+  // Always included
+  const fixed = {
+    system: estimateTokens(systemPrompt),
+    message: estimateTokens(message),
+    facts: estimateTokens(formatFacts(facts)),
+    faqs: estimateTokens(faqText),
+  };
+  const available = Math.max(
+    0,
+    totalBudget - fixed.system - fixed.message - fixed.facts - fixed.faqs
+  );
+
+  const summaryText = history.summary
+    ? `EARLIER IN THIS CONVERSATION (summary):\n${history.summary}`
+    : "";
+  const needs = {
+    history: history.messages.reduce(
+      (sum, m) => sum + estimateTokens(m.content),
+      estimateTokens(summaryText)
+    ),
+    products: fitSection(
+      items(products),
+      DESCRIPTION_LEVELS.slice(0, 1),
+      formatProduct,
+      PRODUCTS_HEADER,
+      Infinity
+    ).tokens,
+    pages: fitSection(
+      items(pages),
+      PAGE_LEVELS.slice(0, 1),
+      formatPage,
+      PAGES_HEADER,
+      Infinity
+    ).tokens,
+  };
+  const allocation = allocate(needs, available);
+
+  // Products and pages: shorten, then drop from the bottom
+  const productFit = fitSection(
+    items(products),
+    DESCRIPTION_LEVELS,
+    formatProduct,
+    PRODUCTS_HEADER,
+    allocation.products
+  );
+  const pageFit = fitSection(
+    items(pages),
+    PAGE_LEVELS,
+    formatPage,
+    PAGES_HEADER,
+    allocation.pages
+  );
+
+  // History: the summary first, then the newest turns that fit
+  let historyBudget = allocation.history;
+  const summaryTokens = estimateTokens(summaryText);
+  const includeSummary = summaryText && summaryTokens <= historyBudget;
+  if (includeSummary) historyBudget -= summaryTokens;
+  const historyFit =
+    historyBudget > 0
+      ? fitToBudget(history.messages, historyBudget)
+      : { kept: [], tokens: 0 };
+
+  const includedProducts = products.slice(0, productFit.count);
+  const includedPages = pages.slice(0, pageFit.count);
+  const storeContext = buildContextMessage(
+    includedProducts,
+    includedPages,
+    facts,
+    { descriptionChars: productFit.level, pageChars: pageFit.level }
+  );
+  const context = [includeSummary ? summaryText : "", faqText, storeContext]
+    .filter(Boolean)
+    .join("\n\n");
+
+  const budget = {
+    total: totalBudget,
+    system: fixed.system,
+    message: fixed.message,
+    facts: fixed.facts,
+    faqs: fixed.faqs,
+    history: historyFit.tokens + (includeSummary ? summaryTokens : 0),
+    products: productFit.tokens,
+    pages: pageFit.tokens,
+    products_dropped: products.length - productFit.count,
+    pages_dropped: pages.length - pageFit.count,
+    history_turns_dropped: history.messages.length - historyFit.kept.length,
+    description_chars: productFit.level,
+    page_chars: pageFit.level,
+  };
+  budget.used =
+    budget.system +
+    budget.message +
+    budget.facts +
+    budget.faqs +
+    budget.history +
+    budget.products +
+    budget.pages;
+
+  return {
+    context: context || null,
+    messages: [
+      ...historyFit.kept.map((m) => ({ role: m.role, content: m.content })),
+      { role: "user", content: message },
+    ],
+    products: includedProducts,
+    pages: includedPages,
+    budget,
+  };
+}
+
+module.exports = {
+  fitSection,
+  allocate,
+  assemblePrompt,
+};
@@ -2,40 +2,121 @@
  * RUMI Prompt - Persona + Examples
  *
  * No rules. Just show who RUMI is and how they talk.
- * The model continues the pattern.
+ * The model continues the pattern. Tone, persona and examples come from
+ * the store's personality (see services/personality.js).
  */
 
-function buildSystemPrompt(storeName, storeProductSummary) {
+const { normalizePersonality } = require("./personality");
+const { describeVariants } = require("./product-variants");
+const { itemTagId } = require("./card-resolver");
+
+const TONE_DESCRIPTIONS = {
+  warm: "You are warm and curious.",
+  friendly: "You are friendly and easygoing.",
+  professional: "You are professional, clear and to the point.",
+  playful: "You are playful and light-hearted, without being silly.",
+  calm: "You are calm and reassuring.",
+  enthusiastic: "You are enthusiastic and full of energy.",
+};
+
+const FORMALITY_DESCRIPTIONS = {
+  casual: "You talk casually, like chatting with a friend.",
+  neutral: "You talk naturally - relaxed but polite.",
+  formal: "You talk politely and formally.",
+};
+
+const EMOJI_DESCRIPTIONS = {
+  none: "You don't use emojis.",
+  minimal: "You use an emoji now and then, at most one per message.",
+  frequent: "You like using emojis to keep things lively.",
+};
+
+// Used when the store hasn't written its own example dialogues
+const DEFAULT_EXAMPLES = [
+  {
+    visitor: "I need something",
+    assistant: "Of course! What are you looking for?",
+  },
+  {
+    visitor: "I'm looking for a gift",
+    assistant: "Lovely! Who is it for? Then I can suggest something that fits.",
+  },
+  {
+    visitor: "Show me what you have",
+    assistant:
+      "Here's one of our favorites: [product name] - [why it's great]. {{P12}}",
+  },
+  {
+    visitor: "I don't like that one",
+    assistant: "No problem! How about [another product] instead? {{P34}}",
+  },
+  {
+    visitor: "What's the most expensive thing you have?",
+    assistant: "That would be [product name] at [price]. {{P56}}",
+  },
+];
+
+function buildSystemPrompt(
+  storeName,
+  storeProductSummary,
+  storePersonality,
+  language,
+  maxCards = 1
+) {
+  const personality = normalizePersonality(storePersonality);
+
+  const cardInstruction =
+    maxCards > 1
+      ? `You can show up to ${maxCards} cards in one answer - add one ID tag per item, best match first. Use several when the visitor wants options or a comparison, otherwise stick to one.`
+      : "One card at a time. Let them respond.";
+
+  const identity = personality.persona_name
+    ? `You are ${personality.persona_name}, an employee at ${storeName}.`
+    : `You are an employee at ${storeName}.`;
+
+  const greeting = personality.greeting || "Hi! What can I help you with?";
+
+  const examples =
+    personality.example_dialogues.length > 0
+      ? personality.example_dialogues
+      : DEFAULT_EXAMPLES;
+
+  const exampleLines = [{ visitor: "Hi", assistant: greeting }, ...examples]
+    .map((d) => `Visitor: "${d.visitor}"\nYou: "${d.assistant}"`)
+    .join("\n\n");
+
+  const bannedTopics =
+    personality.banned_topics.length > 0
+      ? `\nNever discuss these topics: ${personality.banned_topics.join(
+          ", "
+        )}. If asked, politely steer back to the store.`
+      : "";
+
+  const customInstructions = personality.custom_instructions
+    ? `\n\nFROM THE STORE OWNER:\n${personality.custom_instructions}`
+    : "";
+
   return `
-You are a warm, curious employee at ${storeName}. 
+${identity}
+${TONE_DESCRIPTIONS[personality.tone]} ${
+    FORMALITY_DESCRIPTIONS[personality.formality]
+  } ${EMOJI_DESCRIPTIONS[personality.emoji_use]}
 You're proud to represent the store and speak as part of the team - "we" and "our", not "they" and "their".
 You genuinely want to understand what each visitor needs.
 You give honest advice like you would to a friend.
-You only talk about the store and its content - nothing else.
+You only talk about the store and its content - nothing else.${bannedTopics}
 You match your response length to what's needed - short for simple questions, longer when explaining something.
-You ONLY state facts that are in the information provided to you - if you don't know something, say so honestly.
+You ONLY state facts that are in the information provided to you - if you don't know something, say so honestly.${
+    language
+      ? `\nThe visitor speaks ${language}. Always answer in ${language}, even though the examples below are in English.`
+      : ""
+  }
 
 The store sells: ${storeProductSummary || "various products"}
 
 THIS IS HOW YOU TALK:
 
-Visitor: "Hi"
-You: "Hi! What can I help you with?"
-
-Visitor: "I need something"
-You: "Of course! What are you looking for?"
-
-Visitor: "Something calming"
-You: "I'd recommend Amethyst Stone - it's known for bringing calm and clarity. {{Amethyst Stone}}"
-
-Visitor: "Show me what you have"
-You: "Here's one of our favorites: Rose Quartz, known for love and harmony. {{Rose Quartz}}"
-
-Visitor: "I don't like that one"
-You: "No problem! How about Howlite instead? It's great for relaxation. {{Howlite}}"
-
-Visitor: "What's the most expensive thing you have?"
-You: "That would be [product name] at [price]. {{Product Name}}"
+${exampleLines}
 
 Visitor: "Tell me about your shipping policy"
 You: "[Answer based on store info provided - if not available, say you're not sure and suggest they check the website]"
@@ -43,11 +124,8 @@ You: "[Answer based on store info provided - if not available, say you're not su
 Visitor: "How much is shipping?"
 You: "[Only state prices if they're in the info provided - otherwise say you're not sure of the exact price]"
 
-Visitor: "Do you have any articles about crystal healing?"
-You: "Yes! We have a great article about that. {{Crystal Healing Guide}}"
-
-Visitor: "Tell me about angel numbers"
-You: "We have several articles about angel numbers! Here's one to start with. {{Änglanummer 444 – Vad betyder det?}}"
+Visitor: "Do you have any articles about [topic]?"
+You: "Yes! We have a great article about that. {{G78}}"
 
 Visitor: "What do you think of Elon Musk?"
 You: "Haha, I only know about the store! Is there something I can help you find today?"
@@ -55,60 +133,143 @@ You: "Haha, I only know about the store! Is there something I can help you find
 Visitor: "Can you help me with my homework?"
 You: "I'm just here to help with the store! Anything you're looking for today?"
 
-Visitor: "How long does delivery take?"
-You: "I'm not 100% sure of the exact delivery times - you can find that info on our shipping page, or I can help you find a product!"
-
-When you recommend a product, page, or blog post, add {{Title}} at the end so they can see a card with the link.
-One card at a time. Let them respond.
+When you recommend a product, page, or blog post, add its ID tag from the store info at the end, like {{P12}} or {{G34}}, so they can see a card with the link. Always use the ID in [brackets] before the item, never the title.
+${cardInstruction}
 You can answer questions about the store's pages, blog posts, policies, and other content - not just products.
-IMPORTANT: Never make up prices, shipping costs, or policies. If the info isn't provided to you, say you're not sure and suggest checking the website.
+IMPORTANT: Never make up prices, shipping costs, or policies. If the info isn't provided to you, say you're not sure and suggest checking the website.${customInstructions}
 `.trim();
 }
 
 /**
- * Build context with products
+ * Price text for the context, showing sale prices explicitly
  */
-function buildContextMessage(products, pages) {
-  const parts = [];
-
-  if (products.length > 0) {
-    parts.push("PRODUCTS AVAILABLE:");
-
-    products.forEach((p) => {
-      const item = p.item || p;
-      const price = item.price || "";
-      const desc = item.content
-        ? item.content.length > 150
-          ? item.content.slice(0, 150) + "..."
-          : item.content
+function formatPrice(item) {
+  const currency = item.currency ? ` ${item.currency}` : "";
+  if (item.sale_price_amount !== null && item.sale_price_amount !== undefined) {
+    const regular =
+      item.price_amount !== null && item.price_amount !== undefined
+        ? `, regular price ${item.price_amount}${currency}`
         : "";
-      parts.push(`• ${item.title} - ${price}${desc ? ": " + desc : ""}`);
-    });
+    return `${item.sale_price_amount}${currency} (on sale${regular})`;
   }
+  return item.price || "";
+}
+
+const PRODUCTS_HEADER = "PRODUCTS AVAILABLE:";
+const PAGES_HEADER =
+  "STORE PAGES & INFO (use this to answer questions about the store):";
+
+// Default text lengths; the prompt budget may shorten them
+const DESCRIPTION_CHARS = 150;
+const PAGE_CHARS = 1500;
 
-  if (pages.length > 0) {
-    parts.push(
-      "\nSTORE PAGES & INFO (use this to answer questions about the store):"
+/**
+ * Text cut to a length, with "..." when it was cut
+ */
+function truncate(text, maxChars) {
+  if (!text || maxChars <= 0) return "";
+  return text.length > maxChars ? text.slice(0, maxChars) + "..." : text;
+}
+
+/**
+ * Contact details and policies section
+ */
+function formatFacts(facts) {
+  if (!facts?.length) return "";
+  return [
+    "STORE CONTACT & POLICIES (use these exact details when asked):",
+    ...facts.map((fact) => `• ${fact.label}: ${fact.values.join(", ")}`),
+  ].join("\n");
+}
+
+/**
+ * Store owner's curated answers - they override page content
+ */
+function formatFaqs(faqs) {
+  if (!faqs?.length) return "";
+  return [
+    "STORE FAQ (answers written by the store - prefer these over other info):",
+    ...faqs.map((f) => (f.item || f).content),
+  ].join("\n\n");
+}
+
+/**
+ * One product line (plus its variants line)
+ */
+function formatProduct(item, descriptionChars = DESCRIPTION_CHARS) {
+  const price = formatPrice(item);
+  const desc = truncate(item.content, descriptionChars);
+  const details = [
+    item.attributes?.colors?.length
+      ? `colors: ${item.attributes.colors.join(", ")}`
+      : "",
+    item.attributes?.sizes?.length
+      ? `sizes: ${item.attributes.sizes.join(", ")}`
+      : "",
+  ].filter(Boolean);
+
+  const line = `• [${itemTagId(item)}] ${item.title} - ${price}${
+    details.length ? ` (${details.join("; ")})` : ""
+  }${desc ? ": " + desc : ""}`;
+  const variants = describeVariants(item.variants, item.currency);
+  return variants ? `${line}\n  ${variants}` : line;
+}
+
+/**
+ * One page / post block. Pages get more room than products - they hold
+ * shipping, returns and other policy details.
+ */
+function formatPage(item, contentChars = PAGE_CHARS) {
+  if (!item.content) return "";
+  const url = item.url ? `\nLink: ${item.url}` : "";
+  return `[${itemTagId(item)}] ${item.title}${url}\n${truncate(
+    item.content,
+    contentChars
+  )}`;
+}
+
+/**
+ * Build context with store facts, products and pages
+ *
+ * @param {Array} products - Items or { item, score } results
+ * @param {Array} pages - Items or { item, score } results
+ * @param {Array} facts - From loadStoreFacts()
+ * @param {Object} limits - { descriptionChars, pageChars }
+ */
+function buildContextMessage(products, pages, facts = [], limits = {}) {
+  const sections = [];
+
+  const factsText = formatFacts(facts);
+  if (factsText) sections.push(factsText);
+
+  if (products.length > 0) {
+    sections.push(
+      [
+        PRODUCTS_HEADER,
+        ...products.map((p) =>
+          formatProduct(p.item || p, limits.descriptionChars)
+        ),
+      ].join("\n")
     );
+  }
 
-    pages.forEach((p) => {
-      const item = p.item || p;
-      if (item.content) {
-        // Include more content from pages - they have important info like shipping, policies
-        const content =
-          item.content.length > 1500
-            ? item.content.slice(0, 1500) + "..."
-            : item.content;
-        const url = item.url ? `\nLink: ${item.url}` : "";
-        parts.push(`\n[${item.title}]${url}\n${content}`);
-      }
-    });
+  const pageBlocks = pages
+    .map((p) => formatPage(p.item || p, limits.pageChars))
+    .filter(Boolean);
+  if (pageBlocks.length > 0) {
+    sections.push([PAGES_HEADER, ...pageBlocks].join("\n\n"));
   }
 
-  return parts.join("\n");
+  return sections.join("\n\n");
 }
 
 module.exports = {
+  PRODUCTS_HEADER,
+  PAGES_HEADER,
   buildSystemPrompt,
+  formatFacts,
+  formatFaqs,
+  formatProduct,
+  formatPage,
   buildContextMessage,
 };
@@ -0,0 +1,69 @@
+/**
+ * Query Rewriter Service
+ *
+ * Builds the standalone search query used for retrieval. Follow-ups like
+ * "do you have it in a bigger size?" say nothing about the product, so the
+ * products just shown (conv_messages.products_shown) or, failing that, the
+ * previous visitor message are appended to the latest message before it
+ * is embedded and keyword-searched.
+ *
+ * Heuristic on purpose: no extra model call before every answer.
+ */
+
+const { analyzeQuery } = require("../utils/helpers");
+
+// Messages this short are treated as follow-ups when there is history
+const SHORT_MESSAGE_WORDS = 5;
+
+// Shown products added to the query
+const MAX_CONTEXT_PRODUCTS = 2;
+
+/**
+ * Build the retrieval query for a message
+ *
+ * @param {string} message - The visitor's latest message
+ * @param {Array} recentMessages - Earlier messages, oldest first
+ *   ({ role, content, products_shown })
+ * @returns {Object} { query, rewritten, context } - context: what was added
+ */
+function buildRetrievalQuery(message, recentMessages = []) {
+  const unchanged = { query: message, rewritten: false, context: null };
+  if (recentMessages.length === 0) return unchanged;
+
+  const analysis = analyzeQuery(message, recentMessages);
+  const wordCount = message.split(/\s+/).filter(Boolean).length;
+  if (analysis.isGreeting) return unchanged;
+  if (!analysis.isFollowUp && wordCount > SHORT_MESSAGE_WORDS) {
+    return unchanged;
+  }
+
+  // The products the visitor is most likely talking about
+  const lastShown = [...recentMessages]
+    .reverse()
+    .find((m) => m.role === "assistant" && m.products_shown?.length);
+  if (lastShown) {
+    const products = lastShown.products_shown.slice(0, MAX_CONTEXT_PRODUCTS);
+    return {
+      query: `${message} ${products.join(" ")}`,
+      rewritten: true,
+      context: "products_shown",
+    };
+  }
+
+  const previousQuestion = [...recentMessages]
+    .reverse()
+    .find((m) => m.role === "user" && m.content?.trim());
+  if (previousQuestion) {
+    return {
+      query: `${previousQuestion.content.trim()} ${message}`,
+      rewritten: true,
+      context: "previous_message",
+    };
+  }
+
+  return unchanged;
+}
+
+module.exports = {
+  buildRetrievalQuery,
+};
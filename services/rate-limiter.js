@@ -0,0 +1,270 @@
+/**
+ * Rate Limiter Service
+ *
+ * Fixed-window request limits for the public widget endpoints, per IP,
+ * visitor session and store, so one visitor or bot can't use up a store's
+ * monthly conversations or our LLM budget.
+ *
+ * Counters live in memory (default, per process) or in Postgres
+ * (RATE_LIMIT_BACKEND=postgres) when several instances share the limits.
+ * Limits are set with RATE_LIMIT_<SCOPE>_PER_MINUTE environment variables.
+ *
+ * Rejected requests get a 429 with a Retry-After header and a body the
+ * widget can display:
+ *   { ok: false, error: "rate_limited", scope, retry_after, show_to_customer }
+ */
+
+const crypto = require("crypto");
+const { pool } = require("../config/database");
+const { normalizeLanguage, detectLanguage, t } = require("./language");
+
+const BACKEND =
+  process.env.RATE_LIMIT_BACKEND === "postgres" ? "postgres" : "memory";
+
+const envLimit = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// Requests per window; 0 turns a scope off
+const LIMITS = {
+  ip: {
+    max: envLimit("RATE_LIMIT_IP_PER_MINUTE", 30),
+    windowSeconds: 60,
+  },
+  session: {
+    max: envLimit("RATE_LIMIT_SESSION_PER_MINUTE", 10),
+    windowSeconds: 60,
+  },
+  store: {
+    max: envLimit("RATE_LIMIT_STORE_PER_MINUTE", 300),
+    windowSeconds: 60,
+  },
+  // The same message over and over from one session
+  repeat: { max: 5, windowSeconds: 10 * 60 },
+};
+
+const MAX_MESSAGE_LENGTH = envLimit("MAX_MESSAGE_LENGTH", 2000);
+
+// User agents of scripts and crawlers - never a visitor in a browser
+const BOT_USER_AGENT =
+  /bot|crawl|spider|slurp|headless|phantomjs|selenium|puppeteer|playwright|curl|wget|python-requests|python-urllib|aiohttp|httpx|go-http-client|java\/|okhttp|libwww|scrapy|node-fetch|axios/i;
+
+// =============================================================================
+// BACKENDS
+// =============================================================================
+
+const memoryCounters = new Map();
+
+async function hitMemory(key, windowSeconds) {
+  const now = Date.now();
+  let counter = memoryCounters.get(key);
+  if (!counter || counter.resetAt <= now) {
+    counter = { count: 0, resetAt: now + windowSeconds * 1000 };
+    memoryCounters.set(key, counter);
+  }
+  counter.count++;
+  return counter;
+}
+
+async function hitPostgres(key, windowSeconds) {
+  const result = await pool.query(
+    `INSERT INTO rate_limits (key, count, window_start)
+     VALUES ($1, 1, now())
+     ON CONFLICT (key) DO UPDATE SET
+       count = CASE WHEN rate_limits.window_start <= now() - make_interval(secs => $2)
+                 THEN 1 ELSE rate_limits.count + 1 END,
+       window_start = CASE WHEN rate_limits.window_start <= now() - make_interval(secs => $2)
+                        THEN now() ELSE rate_limits.window_start END
+     RETURNING count, window_start`,
+    [key, windowSeconds]
+  );
+  const row = result.rows[0];
+  return {
+    count: row.count,
+    resetAt: new Date(row.window_start).getTime() + windowSeconds * 1000,
+  };
+}
+
+/**
+ * Count one request against a key
+ *
+ * @returns {Object} { count, resetAt } - resetAt in ms
+ */
+function hit(key, windowSeconds) {
+  return BACKEND === "postgres"
+    ? hitPostgres(key, windowSeconds)
+    : hitMemory(key, windowSeconds);
+}
+
+/**
+ * Drop expired counters (scheduled from index.js)
+ */
+async function cleanupRateLimits() {
+  const now = Date.now();
+  for (const [key, counter] of memoryCounters) {
+    if (counter.resetAt <= now) memoryCounters.delete(key);
+  }
+
+  if (BACKEND === "postgres") {
+    try {
+      const longestWindow = Math.max(
+        ...Object.values(LIMITS).map((l) => l.windowSeconds)
+      );
+      await pool.query(
+        `DELETE FROM rate_limits WHERE window_start < now() - make_interval(secs => $1)`,
+        [longestWindow]
+      );
+    } catch (err) {
+      console.error("Error cleaning up rate limits:", err);
+    }
+  }
+}
+
+// =============================================================================
+// CHECKS
+// =============================================================================
+
+/**
+ * Count a request against the given scopes, e.g. { ip: "1.2.3.4" }.
+ * Every scope is counted, even after one is over its limit.
+ *
+ * @returns {Object|null} The exceeded scope { scope, retryAfter }, or null
+ */
+async function checkRateLimits(keys) {
+  let exceeded = null;
+
+  for (const [scope, value] of Object.entries(keys)) {
+    const limit = LIMITS[scope];
+    if (!value || !limit || limit.max === 0) continue;
+
+    const { count, resetAt } = await hit(
+      `${scope}:${value}`,
+      limit.windowSeconds
+    );
+    if (count > limit.max && !exceeded) {
+      exceeded = {
+        scope,
+        retryAfter: Math.max(1, Math.ceil((resetAt - Date.now()) / 1000)),
+      };
+    }
+  }
+
+  return exceeded;
+}
+
+/**
+ * Why a request looks automated, or null
+ */
+function detectBot(req) {
+  const userAgent = req.headers["user-agent"];
+  if (!userAgent || !userAgent.trim()) return "missing_user_agent";
+  if (BOT_USER_AGENT.test(userAgent)) return "bot_user_agent";
+  return null;
+}
+
+/**
+ * Short hash of a message, ignoring case and surrounding whitespace
+ */
+function messageHash(message) {
+  return crypto
+    .createHash("sha256")
+    .update(message.trim().toLowerCase())
+    .digest("hex")
+    .slice(0, 16);
+}
+
+/**
+ * Language for messages shown before the store is loaded
+ */
+function requestLanguage(body) {
+  return (
+    normalizeLanguage(body?.language) ||
+    detectLanguage(body?.message) ||
+    "English"
+  );
+}
+
+/**
+ * Express middleware limiting a public endpoint.
+ * Place it after widget auth so the session and store come from the token.
+ *
+ * @param {Object} options
+ * @param {Array} options.scopes - Any of "ip", "session", "store"
+ * @param {boolean} options.checkMessage - Also apply message length limits,
+ *   bot heuristics and the repeated-message check
+ */
+function rateLimit({ scopes = ["ip"], checkMessage = false } = {}) {
+  return async (req, res, next) => {
+    const body = req.body || {};
+    const language = requestLanguage(body);
+
+    if (checkMessage) {
+      const botReason = detectBot(req);
+      if (botReason) {
+        console.log(`[RateLimit] Blocked ${req.ip}: ${botReason}`);
+        return res.status(403).json({
+          ok: false,
+          error: "bot_detected",
+          message: "Automated requests are not allowed",
+        });
+      }
+
+      if (String(body.message || "").length > MAX_MESSAGE_LENGTH) {
+        return res.status(400).json({
+          ok: false,
+          error: "message_too_long",
+          max_length: MAX_MESSAGE_LENGTH,
+          show_to_customer: t(language, "message_too_long"),
+        });
+      }
+    }
+
+    const keys = {};
+    if (scopes.includes("ip")) keys.ip = req.ip;
+    if (scopes.includes("session") && body.store_id && body.session_id) {
+      keys.session = `${body.store_id}:${body.session_id}`;
+    }
+    if (scopes.includes("store")) keys.store = body.store_id;
+    if (checkMessage && keys.session && typeof body.message === "string") {
+      keys.repeat = `${keys.session}:${messageHash(body.message)}`;
+    }
+
+    let exceeded;
+    try {
+      exceeded = await checkRateLimits(keys);
+    } catch (err) {
+      // A counter outage shouldn't take the chat down
+      console.error("Error checking rate limits:", err);
+      return next();
+    }
+
+    if (exceeded) {
+      console.log(
+        `[RateLimit] ${exceeded.scope} limit hit on ${req.path} (${
+          keys[exceeded.scope]
+        })`
+      );
+      res.setHeader("Retry-After", String(exceeded.retryAfter));
+      return res.status(429).json({
+        ok: false,
+        error: "rate_limited",
+        scope: exceeded.scope,
+        retry_after: exceeded.retryAfter,
+        message: "Too many requests",
+        show_to_customer: t(language, "rate_limited"),
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  LIMITS,
+  MAX_MESSAGE_LENGTH,
+  checkRateLimits,
+  detectBot,
+  rateLimit,
+  cleanupRateLimits,
+};
@@ -0,0 +1,214 @@
+/**
+ * Retriever Service
+ *
+ * Hybrid retrieval for chat: Postgres full-text search (store_items.search_tsv,
+ * Swedish + English stemming plus exact title/SKU tokens) fused with vector
+ * similarity, then a light rerank that boosts exact product names, SKUs and
+ * title words - including parts of Swedish compound words ("jacka" in
+ * "Vinterjacka"), which neither stemming nor embeddings match reliably.
+ *
+ * With the pg_trgm extension, titles written almost right ("vinterjaka")
+ * also count as keyword matches.
+ *
+ * Per-store tuning: search_keyword_weight, search_rerank (store settings).
+ */
+
+const { pool } = require("../config/database");
+const { scoreItems } = require("./vector-store");
+
+// Keyword matches fetched per chat message
+const KEYWORD_CANDIDATES = 50;
+
+// Fused results considered for reranking
+const RERANK_CANDIDATES = 40;
+
+// Query tokens used for the tsquery
+const MAX_QUERY_TOKENS = 12;
+
+// Rerank boosts, added to the fused score
+const SKU_BOOST = 0.5;
+const TITLE_PHRASE_BOOST = 0.3;
+const TITLE_WORDS_BOOST = 0.2;
+
+let trigramAvailable = false;
+
+/**
+ * Enable pg_trgm for fuzzy title matching if possible.
+ * Safe to call on every startup.
+ */
+async function initKeywordSearch() {
+  try {
+    await pool.query(`CREATE EXTENSION IF NOT EXISTS pg_trgm;`);
+    await pool.query(
+      `CREATE INDEX IF NOT EXISTS idx_store_items_title_trgm
+       ON store_items USING gin (lower(title) gin_trgm_ops);`
+    );
+    trigramAvailable = true;
+    console.log("✅ Keyword search: full-text + trigram");
+  } catch (err) {
+    console.log(
+      `ℹ️  pg_trgm not available (${err.message}) - keyword search uses full-text only`
+    );
+    trigramAvailable = false;
+  }
+  return trigramAvailable;
+}
+
+/**
+ * Lowercased word tokens of a message (letters and digits, 2+ chars)
+ */
+function tokenize(text) {
+  const tokens = String(text || "")
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu);
+  return [...new Set((tokens || []).filter((t) => t.length >= 2))];
+}
+
+/**
+ * OR-query of prefix terms, e.g. "blå:* | vas:*". Tokens are letters and
+ * digits only, so they are safe inside to_tsquery.
+ */
+function buildTsQuery(tokens) {
+  return tokens
+    .slice(0, MAX_QUERY_TOKENS)
+    .map((t) => `${t}:*`)
+    .join(" | ");
+}
+
+/**
+ * Full-text (and trigram) matches for a store
+ * Returns [{ id, score }] with score normalized to 0-1, best match = 1
+ */
+async function keywordSearch(storeDbId, message, limit = KEYWORD_CANDIDATES) {
+  const tokens = tokenize(message);
+  if (tokens.length === 0) return [];
+
+  const tsQuery = `(to_tsquery('swedish', $2) || to_tsquery('english', $2) || to_tsquery('simple', $2))`;
+  const params = [storeDbId, buildTsQuery(tokens), limit];
+
+  // Trigram matching adds the lowercased message as $4
+  let trigramScore = "";
+  let trigramWhere = "";
+  if (trigramAvailable) {
+    params.push(message.toLowerCase());
+    trigramScore = ` + word_similarity(lower(coalesce(title, '')), $4)`;
+    trigramWhere = ` OR lower(title) <% $4`;
+  }
+
+  const result = await pool.query(
+    `SELECT id, ts_rank_cd(search_tsv, ${tsQuery}, 32)${trigramScore} AS score
+     FROM store_items
+     WHERE store_id = $1 AND (search_tsv @@ ${tsQuery}${trigramWhere})
+     ORDER BY score DESC
+     LIMIT $3`,
+    params
+  );
+
+  const best = Math.max(0, ...result.rows.map((r) => parseFloat(r.score)));
+  if (best <= 0) return [];
+
+  return result.rows.map((r) => ({
+    id: r.id,
+    score: parseFloat(r.score) / best,
+  }));
+}
+
+/**
+ * Boost items whose SKU, full title or title words appear in the message
+ */
+function rerank(results, message) {
+  const tokens = tokenize(message);
+  const text = ` ${tokens.join(" ")} `;
+  const words = tokens.filter((t) => t.length >= 4);
+  const lowerMessage = ` ${message.toLowerCase()} `;
+
+  return results
+    .map((r) => {
+      let boost = 0;
+      const sku = r.item.sku?.toLowerCase().trim();
+      const title = tokenize(r.item.title).join(" ");
+
+      if (sku && sku.length >= 3 && lowerMessage.includes(sku)) {
+        boost += SKU_BOOST;
+      }
+      if (title.length >= 3 && text.includes(` ${title} `)) {
+        boost += TITLE_PHRASE_BOOST;
+      } else if (title && words.length > 0) {
+        // Substring match, so compound words count ("jacka" in "vinterjacka")
+        const inTitle = words.filter((w) => title.includes(w)).length;
+        boost += TITLE_WORDS_BOOST * (inTitle / words.length);
+      }
+
+      return { ...r, score: r.score + boost };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Rank store items for a chat message, highest first.
+ *
+ * Scores are (1 - w) * vector similarity + w * keyword score, with
+ * w = search_keyword_weight; the top results are then reranked.
+ * If keyword search fails the ranking falls back to vectors only.
+ *
+ * @param {number} storeDbId - The store's database ID
+ * @param {Array} items - Candidate store items (already filtered)
+ * @param {string} message - The visitor's message
+ * @param {Array} queryVector - Embedding of the message
+ * @param {Object} settings - Store settings
+ * @returns {Object} { results: [{ item, score, vector_score, keyword_score }], keywordMatches }
+ */
+async function retrieve(storeDbId, items, message, queryVector, settings) {
+  const keywordWeight = settings.search_keyword_weight ?? 0.35;
+
+  const vectorScored = await scoreItems(storeDbId, items, queryVector);
+
+  let keywordScores = new Map();
+  if (keywordWeight > 0) {
+    try {
+      const matches = await keywordSearch(storeDbId, message);
+      keywordScores = new Map(matches.map((m) => [m.id, m.score]));
+    } catch (err) {
+      console.error("Keyword search failed, using vectors only:", err);
+    }
+  }
+
+  const fused = vectorScored
+    .map(({ item, score }) => {
+      const keywordScore = keywordScores.get(item.id) || 0;
+      return {
+        item,
+        score: (1 - keywordWeight) * score + keywordWeight * keywordScore,
+        vector_score: score,
+        keyword_score: keywordScore,
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  const keywordMatches = fused.filter((r) => r.keyword_score > 0).length;
+
+  if (settings.search_rerank === false) {
+    return { results: fused, keywordMatches };
+  }
+
+  // Rerank the head separately per type so products don't crowd out pages
+  const isProduct = (r) => r.item.type === "product";
+  const head = [
+    ...fused.filter(isProduct).slice(0, RERANK_CANDIDATES),
+    ...fused.filter((r) => !isProduct(r)).slice(0, RERANK_CANDIDATES),
+  ];
+  const tail = fused.filter((r) => !head.includes(r));
+
+  return {
+    results: [...rerank(head, message), ...tail],
+    keywordMatches,
+  };
+}
+
+module.exports = {
+  initKeywordSearch,
+  tokenize,
+  keywordSearch,
+  rerank,
+  retrieve,
+};
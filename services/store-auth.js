@@ -0,0 +1,120 @@
+/**
+ * Store Auth Service
+ *
+ * Express middleware for the store owner API (routes/store.js and
+ * routes/analytics.js). It authenticates the store's API key, checks the
+ * key's scope, the license and plan features, and puts the store on
+ * req.store:
+ *
+ *   { id, store_id, store_name, key_id, scopes,
+ *     license: { id, active, plan, plan_display, limit, features } }
+ *
+ * Credentials are read from the X-Store-Id and X-Api-Key headers (or
+ * "Authorization: Bearer <api_key>"), falling back to store_id and api_key
+ * in the body or query string.
+ *
+ * Stores registered without a license can use routes that need no plan
+ * feature; routes gated on a feature require a license.
+ *
+ * Every failure has the same shape: { ok: false, error, message } where
+ * error is a stable code (missing_credentials, invalid_credentials,
+ * insufficient_scope, license_inactive, license_required,
+ * feature_not_available).
+ */
+
+const { verifyApiKey } = require("./api-keys");
+const { resolveFeatures, hasFeature } = require("./plan-features");
+
+/**
+ * Store id and API key from headers, body or query
+ */
+function getStoreCredentials(req) {
+  const authorization = req.headers.authorization || "";
+  const bearer = authorization.startsWith("Bearer ")
+    ? authorization.slice(7).trim()
+    : null;
+
+  return {
+    storeId:
+      req.headers["x-store-id"] || req.body?.store_id || req.query?.store_id,
+    apiKey:
+      req.headers["x-api-key"] ||
+      bearer ||
+      req.body?.api_key ||
+      req.query?.api_key,
+  };
+}
+
+/**
+ * Require an authenticated store
+ *
+ * @param {Object} options
+ * @param {string} options.scope - API key scope needed (see api-keys.js)
+ * @param {string} options.feature - Plan feature needed (see plan-features.js)
+ */
+function storeAuth({ scope, feature } = {}) {
+  return async (req, res, next) => {
+    const fail = (status, error, message, extra = {}) =>
+      res.status(status).json({ ok: false, error, message, ...extra });
+
+    const { storeId, apiKey } = getStoreCredentials(req);
+
+    let auth;
+    try {
+      auth = await verifyApiKey(storeId, apiKey, scope);
+    } catch (err) {
+      console.error("Error authenticating store:", err);
+      return fail(500, "auth_error", "Failed to authenticate store");
+    }
+    if (auth.error) {
+      return res.status(auth.error.status).json(auth.error.body);
+    }
+
+    const row = auth.store;
+    const license = {
+      id: row.license_key_id,
+      active: !row.license_key_id || row.license_active === true,
+      plan: row.plan || null,
+      plan_display: row.plan_display || null,
+      limit: row.plan_limit ?? null,
+      features: resolveFeatures(row.features),
+    };
+
+    if (!license.active) {
+      return fail(403, "license_inactive", "Store license is not active");
+    }
+
+    if (feature && !license.id) {
+      return fail(
+        403,
+        "license_required",
+        `A license is required for ${feature}`,
+        { feature }
+      );
+    }
+
+    if (feature && !hasFeature(license.features, feature)) {
+      return fail(
+        403,
+        "feature_not_available",
+        `Your plan doesn't include ${feature}`,
+        { feature, plan: license.plan }
+      );
+    }
+
+    req.store = {
+      id: row.id,
+      store_id: row.store_id,
+      store_name: row.store_name,
+      key_id: row.key_id,
+      scopes: row.scopes,
+      license,
+    };
+    next();
+  };
+}
+
+module.exports = {
+  getStoreCredentials,
+  storeAuth,
+};
@@ -0,0 +1,124 @@
+/**
+ * Store Facts Service
+ *
+ * Contact details and policies (email, phone, opening hours, shipping,
+ * returns, social links) kept in store_facts. Facts are either entered
+ * manually through contact_info on /index-store, or auto-detected from
+ * indexed content (see extractFactsFromText in embedding.js). Manual facts
+ * win over auto-detected ones of the same type.
+ */
+
+const { pool } = require("../config/database");
+
+/**
+ * Supported fact types. `multiple` types keep every value (social links);
+ * the others are shown with a single value when possible.
+ */
+const FACT_TYPES = {
+  email: { label: "Email" },
+  phone: { label: "Phone" },
+  address: { label: "Address" },
+  opening_hours: { label: "Opening hours" },
+  shipping_cost: { label: "Shipping" },
+  return_window: { label: "Returns" },
+  social_link: { label: "Social media", multiple: true },
+};
+
+// contact_info field -> fact type (social_links holds several links)
+const CONTACT_INFO_FIELDS = {
+  email: "email",
+  phone: "phone",
+  address: "address",
+  opening_hours: "opening_hours",
+  shipping_cost: "shipping_cost",
+  return_window: "return_window",
+  social_links: "social_link",
+};
+
+// Auto-detected values shown per type when there is no manual value
+const MAX_AUTO_VALUES = 2;
+
+/**
+ * Turn a contact_info object into fact rows. Strings are trimmed and
+ * empty values dropped; social_links may be an array, an object
+ * ({ instagram: url }) or a single string.
+ *
+ * @returns {Object} { types, facts } - types provided, [{ fact_type, value }]
+ */
+function normalizeContactInfo(contactInfo) {
+  const types = [];
+  const facts = [];
+
+  if (!contactInfo || typeof contactInfo !== "object") {
+    return { types, facts };
+  }
+
+  for (const [field, factType] of Object.entries(CONTACT_INFO_FIELDS)) {
+    const raw = contactInfo[field];
+    if (!raw) continue;
+
+    let values;
+    if (Array.isArray(raw)) {
+      values = raw;
+    } else if (typeof raw === "object") {
+      values = Object.values(raw);
+    } else {
+      values = [raw];
+    }
+
+    values = values
+      .filter((v) => typeof v === "string" || typeof v === "number")
+      .map((v) => String(v).trim())
+      .filter(Boolean);
+
+    if (!FACT_TYPES[factType].multiple) {
+      values = values.slice(0, 1);
+    }
+
+    if (values.length > 0) {
+      types.push(factType);
+      values.forEach((value) => facts.push({ fact_type: factType, value }));
+    }
+  }
+
+  return { types, facts };
+}
+
+/**
+ * Load the facts to show for a store, grouped by type.
+ * Manual values replace auto-detected ones; auto-detected values are capped.
+ *
+ * @returns {Array} [{ fact_type, label, values }] in FACT_TYPES order
+ */
+async function loadStoreFacts(storeDbId) {
+  const result = await pool.query(
+    `SELECT fact_type, key, value FROM store_facts
+     WHERE store_id = $1
+     ORDER BY (key = 'manual') DESC, id`,
+    [storeDbId]
+  );
+
+  return Object.entries(FACT_TYPES)
+    .map(([factType, definition]) => {
+      const rows = result.rows.filter((r) => r.fact_type === factType);
+      const manual = rows.filter((r) => r.key === "manual");
+      const chosen = manual.length > 0 ? manual : rows;
+      let limit = MAX_AUTO_VALUES;
+      if (definition.multiple) limit = chosen.length;
+      else if (manual.length > 0) limit = 1;
+
+      return {
+        fact_type: factType,
+        label: definition.label,
+        values: chosen.slice(0, limit).map((r) => r.value),
+      };
+    })
+    .filter((fact) => fact.values.length > 0);
+}
+
+module.exports = {
+  FACT_TYPES,
+  CONTACT_INFO_FIELDS,
+  normalizeContactInfo,
+  loadStoreFacts,
+};
@@ -0,0 +1,420 @@
+/**
+ * Store Settings Service
+ *
+ * Typed per-store settings backed by the store_settings table.
+ * Values are stored as text and parsed against SETTINGS_SCHEMA on read;
+ * any key without a row falls back to its default.
+ *
+ * Model settings must be a model of their provider setting (or of the
+ * server-wide provider when that is unset); see PROVIDER_MODELS. The
+ * temperature must be within the chat provider's range.
+ */
+
+const { pool } = require("../config/database");
+const {
+  AI_PROVIDER,
+  ANALYSIS_PROVIDER,
+  PROVIDER_NAMES,
+  PROVIDER_MODELS,
+  PROVIDER_MAX_TEMPERATURE,
+} = require("./llm-provider");
+const { LANGUAGE_NAMES } = require("./language");
+const { GROUNDING_MODES } = require("./answer-verifier");
+
+/**
+ * Supported settings.
+ * A default of null means "use the server-wide default" (env / provider).
+ */
+const SETTINGS_SCHEMA = {
+  ai_provider: {
+    type: "enum",
+    values: PROVIDER_NAMES,
+    default: null,
+    description: "Provider used for chat answers",
+  },
+  chat_model: {
+    type: "model",
+    providerSetting: "ai_provider",
+    defaultProvider: AI_PROVIDER,
+    maxLength: 100,
+    default: null,
+    description: "Model used for chat answers",
+  },
+  temperature: {
+    type: "number",
+    min: 0,
+    max: 2,
+    default: 0.7,
+    description:
+      "Sampling temperature for chat answers (claude accepts up to 1, openai up to 2)",
+  },
+  max_tokens: {
+    type: "integer",
+    min: 50,
+    max: 4000,
+    default: 500,
+    description: "Maximum length of a chat answer in tokens",
+  },
+  rag_product_count: {
+    type: "integer",
+    min: 1,
+    max: 50,
+    default: 8,
+    description: "Products included in the chat context",
+  },
+  faq_min_score: {
+    type: "number",
+    min: 0,
+    max: 1,
+    default: 0.5,
+    description:
+      "Minimum retrieval score for a FAQ to be put first in the chat context",
+  },
+  search_keyword_weight: {
+    type: "number",
+    min: 0,
+    max: 1,
+    default: 0.35,
+    description:
+      "Weight of keyword matches vs semantic similarity when retrieving content (0 = semantic only)",
+  },
+  search_rerank: {
+    type: "boolean",
+    default: true,
+    description:
+      "Rerank retrieved content, boosting exact product names and SKUs",
+  },
+  page_min_score: {
+    type: "number",
+    min: 0,
+    max: 1,
+    default: 0.2,
+    description: "Minimum retrieval score for pages and posts in the context",
+  },
+  prompt_token_budget: {
+    type: "integer",
+    min: 1000,
+    max: 30000,
+    default: 6000,
+    description:
+      "Tokens for the whole chat prompt (instructions, store content, history), excluding the answer",
+  },
+  history_token_budget: {
+    type: "integer",
+    min: 200,
+    max: 8000,
+    default: 1500,
+    description:
+      "Tokens of earlier conversation sent with each message; older turns are summarized",
+  },
+  client_history_fallback: {
+    type: "boolean",
+    default: false,
+    description:
+      "Use the history sent by the widget when the server has none for the session",
+  },
+  grounding_mode: {
+    type: "enum",
+    values: GROUNDING_MODES,
+    default: "rewrite",
+    description:
+      "What to do with prices, policies or contact details in an answer that aren't in the store's content: off, annotate, rewrite (drop those sentences) or replace (whole answer)",
+  },
+  card_mode: {
+    type: "enum",
+    values: ["single", "multiple"],
+    default: "single",
+    description:
+      "Show one content card per answer, or several (carousel / comparison)",
+  },
+  max_cards: {
+    type: "integer",
+    min: 1,
+    max: 10,
+    default: 4,
+    description: "Maximum content cards per answer in multiple card mode",
+  },
+  default_language: {
+    type: "enum",
+    values: LANGUAGE_NAMES,
+    default: "Swedish",
+    description: "Language used when the visitor's language is unknown",
+  },
+  inactivity_timeout_minutes: {
+    type: "integer",
+    min: 5,
+    max: 1440,
+    default: 15,
+    description: "Minutes without messages before a conversation ends",
+  },
+  analysis_provider: {
+    type: "enum",
+    values: PROVIDER_NAMES,
+    default: null,
+    description: "Provider used for scoring and insight extraction",
+  },
+  analysis_model: {
+    type: "model",
+    providerSetting: "analysis_provider",
+    defaultProvider: ANALYSIS_PROVIDER,
+    maxLength: 100,
+    default: null,
+    description: "Model used for scoring and insight extraction",
+  },
+};
+
+/**
+ * Validate and normalize a single setting value
+ * Returns { value } or { error }
+ */
+function validateSetting(key, rawValue) {
+  const schema = SETTINGS_SCHEMA[key];
+  if (!schema) {
+    return { error: `Unknown setting "${key}"` };
+  }
+
+  // null resets the setting to its default
+  if (rawValue === null) {
+    return { value: null };
+  }
+
+  switch (schema.type) {
+    case "integer":
+    case "number": {
+      const value = Number(rawValue);
+      if (rawValue === "" || !Number.isFinite(value)) {
+        return { error: `${key} must be a number` };
+      }
+      if (schema.type === "integer" && !Number.isInteger(value)) {
+        return { error: `${key} must be a whole number` };
+      }
+      if (value < schema.min || value > schema.max) {
+        return {
+          error: `${key} must be between ${schema.min} and ${schema.max}`,
+        };
+      }
+      return { value };
+    }
+
+    case "enum": {
+      if (!schema.values.includes(rawValue)) {
+        return {
+          error: `${key} must be one of: ${schema.values.join(", ")}`,
+        };
+      }
+      return { value: rawValue };
+    }
+
+    case "boolean": {
+      if (rawValue === true || rawValue === "true") return { value: true };
+      if (rawValue === false || rawValue === "false") return { value: false };
+      return { error: `${key} must be true or false` };
+    }
+
+    default: {
+      if (typeof rawValue !== "string" || !rawValue.trim()) {
+        return { error: `${key} must be a non-empty string` };
+      }
+      if (rawValue.length > schema.maxLength) {
+        return {
+          error: `${key} must be at most ${schema.maxLength} characters`,
+        };
+      }
+      return { value: rawValue.trim() };
+    }
+  }
+}
+
+/**
+ * Check a model setting against its provider in a full set of settings.
+ * Returns an error, or null if the model is unset or valid
+ */
+function validateModelPair(key, settings) {
+  const schema = SETTINGS_SCHEMA[key];
+  const model = settings[key];
+  if (model === null || model === undefined) return null;
+
+  const provider = settings[schema.providerSetting] || schema.defaultProvider;
+  const models = PROVIDER_MODELS[provider] || [];
+  if (models.includes(model)) return null;
+
+  return `${key} "${model}" is not a ${provider} model. Use one of: ${models.join(
+    ", "
+  )}`;
+}
+
+const MODEL_SETTINGS = Object.keys(SETTINGS_SCHEMA).filter(
+  (key) => SETTINGS_SCHEMA[key].type === "model"
+);
+
+/**
+ * Highest temperature the store's chat provider accepts
+ */
+function getMaxTemperature(settings) {
+  const provider = settings.ai_provider || AI_PROVIDER;
+  return PROVIDER_MAX_TEMPERATURE[provider] ?? SETTINGS_SCHEMA.temperature.max;
+}
+
+/**
+ * Parse a stored text value, falling back to the default if it no longer
+ * validates (e.g. the schema range changed)
+ */
+function parseStoredValue(key, text) {
+  const { value, error } = validateSetting(key, text);
+  return error ? SETTINGS_SCHEMA[key].default : value;
+}
+
+/**
+ * Get all settings for a store, with defaults filled in
+ */
+async function getStoreSettings(storeDbId) {
+  const settings = getDefaultSettings();
+
+  try {
+    const result = await pool.query(
+      `SELECT setting_key, setting_value FROM store_settings WHERE store_id = $1`,
+      [storeDbId]
+    );
+
+    for (const row of result.rows) {
+      if (SETTINGS_SCHEMA[row.setting_key] && row.setting_value !== null) {
+        settings[row.setting_key] = parseStoredValue(
+          row.setting_key,
+          row.setting_value
+        );
+      }
+    }
+  } catch (err) {
+    console.error("Error loading store settings:", err);
+  }
+
+  // A model saved for another provider would fail every call
+  for (const key of MODEL_SETTINGS) {
+    if (validateModelPair(key, settings)) {
+      settings[key] = SETTINGS_SCHEMA[key].default;
+    }
+  }
+  settings.temperature = Math.min(
+    settings.temperature,
+    getMaxTemperature(settings)
+  );
+
+  return settings;
+}
+
+/**
+ * Get the default value for every setting
+ */
+function getDefaultSettings() {
+  const defaults = {};
+  for (const [key, schema] of Object.entries(SETTINGS_SCHEMA)) {
+    defaults[key] = schema.default;
+  }
+  return defaults;
+}
+
+/**
+ * Validate and save a set of settings. Nothing is saved if any value is
+ * invalid. A null value removes the override.
+ */
+async function updateStoreSettings(storeDbId, updates) {
+  if (!updates || typeof updates !== "object" || Array.isArray(updates)) {
+    return {
+      success: false,
+      error: "invalid_settings",
+      errors: ["settings must be an object"],
+    };
+  }
+
+  const errors = [];
+  const validated = {};
+
+  for (const [key, rawValue] of Object.entries(updates)) {
+    const { value, error } = validateSetting(key, rawValue);
+    if (error) {
+      errors.push(error);
+    } else {
+      validated[key] = value;
+    }
+  }
+
+  if (errors.length === 0) {
+    // Pairs are checked on the settings as they will be after the update,
+    // so changing a provider alone can't orphan its model or temperature
+    const current = await getStoreSettings(storeDbId);
+    const merged = { ...current, ...validated };
+    for (const key of MODEL_SETTINGS) {
+      const error = validateModelPair(key, merged);
+      if (error) errors.push(error);
+    }
+
+    const maxTemperature = getMaxTemperature(merged);
+    if (merged.temperature > maxTemperature) {
+      errors.push(
+        `temperature must be at most ${maxTemperature} for the ${
+          merged.ai_provider || AI_PROVIDER
+        } provider`
+      );
+    }
+  }
+
+  if (errors.length > 0) {
+    return { success: false, error: "invalid_settings", errors };
+  }
+
+  try {
+    for (const [key, value] of Object.entries(validated)) {
+      if (value === null) {
+        await pool.query(
+          `DELETE FROM store_settings WHERE store_id = $1 AND setting_key = $2`,
+          [storeDbId, key]
+        );
+      } else {
+        await pool.query(
+          `INSERT INTO store_settings (store_id, setting_key, setting_value, updated_at)
+           VALUES ($1, $2, $3, now())
+           ON CONFLICT (store_id, setting_key)
+           DO UPDATE SET setting_value = EXCLUDED.setting_value, updated_at = now()`,
+          [storeDbId, key, String(value)]
+        );
+      }
+    }
+
+    return { success: true, settings: await getStoreSettings(storeDbId) };
+  } catch (err) {
+    console.error("Error updating store settings:", err);
+    return { success: false, error: "Failed to update settings" };
+  }
+}
+
+/**
+ * Describe the schema for API consumers (admin UI forms)
+ */
+function describeSettings() {
+  return Object.fromEntries(
+    Object.entries(SETTINGS_SCHEMA).map(([key, schema]) => [
+      key,
+      {
+        type: schema.type,
+        default: schema.default,
+        description: schema.description,
+        ...(schema.values && { values: schema.values }),
+        ...(schema.min !== undefined && { min: schema.min, max: schema.max }),
+        ...(schema.maxLength && { max_length: schema.maxLength }),
+        ...(schema.type === "model" && {
+          provider_setting: schema.providerSetting,
+          models: PROVIDER_MODELS,
+        }),
+      },
+    ])
+  );
+}
+
+module.exports = {
+  SETTINGS_SCHEMA,
+  validateSetting,
+  getStoreSettings,
+  getDefaultSettings,
+  updateStoreSettings,
+  describeSettings,
+};
@@ -0,0 +1,254 @@
+/**
+ * Vector Store Service
+ *
+ * Similarity search over store_items embeddings.
+ *
+ * With the pgvector extension installed, embeddings are mirrored into a
+ * `vector` column (kept in sync by a trigger on store_items.embedding) and
+ * searched with an HNSW/IVFFlat index inside Postgres. Without it, we fall
+ * back to loading the DOUBLE PRECISION[] arrays and scanning in-process.
+ *
+ * Chat retrieval takes the store-wide nearest neighbours from the index and
+ * then keeps those in the filtered candidate set. When filters leave too few
+ * of them, the candidates are scored exactly instead (they are few by then).
+ *
+ * VECTOR_SEARCH=auto (default) | pgvector | memory
+ */
+
+const { pool } = require("../config/database");
+const { cosineSimilarity } = require("./embedding");
+
+const VECTOR_SEARCH = process.env.VECTOR_SEARCH || "auto";
+const EMBEDDING_DIMENSIONS = 1536;
+
+// Nearest neighbours fetched per chat message
+const ANN_CANDIDATES = 100;
+
+// IVFFlat lists searched per query (the index has 100)
+const IVFFLAT_PROBES = 10;
+
+// Below this many neighbours inside the candidate set, score exactly
+const ANN_MIN_MATCHES = 20;
+
+let pgvectorAvailable = false;
+
+/**
+ * Enable pgvector if possible and migrate existing embeddings.
+ * Safe to call on every startup.
+ */
+async function initVectorStore() {
+  if (VECTOR_SEARCH === "memory") {
+    console.log("ℹ️  Vector search: in-process (VECTOR_SEARCH=memory)");
+    return false;
+  }
+
+  try {
+    await pool.query(`CREATE EXTENSION IF NOT EXISTS vector;`);
+  } catch (err) {
+    const log = VECTOR_SEARCH === "pgvector" ? console.error : console.log;
+    log(
+      `ℹ️  pgvector not available (${err.message}) - using in-process vector search`
+    );
+    return false;
+  }
+
+  try {
+    await pool.query(
+      `ALTER TABLE store_items ADD COLUMN IF NOT EXISTS embedding_vec vector(${EMBEDDING_DIMENSIONS});`
+    );
+
+    // Keep embedding_vec in sync with the array column on every write
+    await pool.query(`
+      CREATE OR REPLACE FUNCTION store_items_sync_embedding_vec() RETURNS trigger AS $$
+      BEGIN
+        IF NEW.embedding IS NULL
+           OR array_length(NEW.embedding, 1) <> ${EMBEDDING_DIMENSIONS} THEN
+          NEW.embedding_vec := NULL;
+        ELSE
+          NEW.embedding_vec := NEW.embedding::vector;
+        END IF;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+    await pool.query(
+      `DROP TRIGGER IF EXISTS trg_store_items_embedding_vec ON store_items;`
+    );
+    await pool.query(`
+      CREATE TRIGGER trg_store_items_embedding_vec
+      BEFORE INSERT OR UPDATE OF embedding ON store_items
+      FOR EACH ROW EXECUTE FUNCTION store_items_sync_embedding_vec();
+    `);
+
+    // Migrate rows indexed before pgvector was enabled
+    const migrated = await pool.query(
+      `UPDATE store_items
+       SET embedding_vec = embedding::vector
+       WHERE embedding_vec IS NULL
+         AND embedding IS NOT NULL
+         AND array_length(embedding, 1) = $1`,
+      [EMBEDDING_DIMENSIONS]
+    );
+    if (migrated.rowCount > 0) {
+      console.log(`Migrated ${migrated.rowCount} embeddings to pgvector`);
+    }
+
+    await createAnnIndex();
+
+    pgvectorAvailable = true;
+    console.log("✅ Vector search: pgvector");
+  } catch (err) {
+    console.error("❌ pgvector setup failed, using in-process search:", err);
+    pgvectorAvailable = false;
+  }
+
+  return pgvectorAvailable;
+}
+
+/**
+ * Create the ANN index - HNSW needs pgvector >= 0.5, older versions get IVFFlat
+ */
+async function createAnnIndex() {
+  try {
+    await pool.query(
+      `CREATE INDEX IF NOT EXISTS idx_store_items_embedding_vec
+       ON store_items USING hnsw (embedding_vec vector_cosine_ops);`
+    );
+  } catch (err) {
+    console.log(`HNSW index unavailable (${err.message}), using IVFFlat`);
+    await pool.query(
+      `CREATE INDEX IF NOT EXISTS idx_store_items_embedding_vec
+       ON store_items USING ivfflat (embedding_vec vector_cosine_ops) WITH (lists = 100);`
+    );
+  }
+}
+
+/**
+ * Whether similarity search runs in Postgres
+ */
+function isPgvectorAvailable() {
+  return pgvectorAvailable;
+}
+
+/**
+ * Format a JS array as a pgvector literal
+ */
+function toVectorLiteral(vector) {
+  return `[${vector.join(",")}]`;
+}
+
+/**
+ * Nearest neighbours for a store via pgvector
+ * Returns [{ id, score }] with score = cosine similarity
+ */
+async function searchSimilarItems(
+  storeDbId,
+  queryVector,
+  limit = ANN_CANDIDATES
+) {
+  const client = await pool.connect();
+  try {
+    // By default HNSW returns at most 40 rows and IVFFlat searches 1 list
+    await client.query("BEGIN");
+    await client.query(`SET LOCAL hnsw.ef_search = ${Number(limit)}`);
+    await client.query(`SET LOCAL ivfflat.probes = ${IVFFLAT_PROBES}`);
+    const result = await client.query(
+      `SELECT id, 1 - (embedding_vec <=> $2::vector) AS score
+       FROM store_items
+       WHERE store_id = $1 AND embedding_vec IS NOT NULL
+       ORDER BY embedding_vec <=> $2::vector
+       LIMIT $3`,
+      [storeDbId, toVectorLiteral(queryVector), limit]
+    );
+    await client.query("COMMIT");
+    return result.rows.map((r) => ({ id: r.id, score: parseFloat(r.score) }));
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Cosine similarity of specific items via pgvector
+ * Returns Map id -> score; items without an embedding are left out
+ */
+async function scoreItemIds(storeDbId, itemIds, queryVector) {
+  const result = await pool.query(
+    `SELECT id, 1 - (embedding_vec <=> $2::vector) AS score
+     FROM store_items
+     WHERE store_id = $1 AND id = ANY($3) AND embedding_vec IS NOT NULL`,
+    [storeDbId, toVectorLiteral(queryVector), itemIds]
+  );
+  return new Map(result.rows.map((r) => [r.id, parseFloat(r.score)]));
+}
+
+/**
+ * Score store items against a query vector, highest first.
+ *
+ * With pgvector, items among the store's nearest neighbours get their
+ * similarity and the rest score 0, unless fewer than ANN_MIN_MATCHES of the
+ * items are neighbours - then every item is scored exactly. Items without an
+ * embedding score 0 on all paths.
+ *
+ * @param {number} storeDbId - The store's database ID
+ * @param {Array} items - Store items (need `id`; `embedding` for memory path)
+ * @param {Array} queryVector - Embedding of the query
+ * @returns {Array} [{ item, score }]
+ */
+async function scoreItems(storeDbId, items, queryVector) {
+  if (pgvectorAvailable) {
+    try {
+      const neighbours = await searchSimilarItems(storeDbId, queryVector);
+      let scores = new Map(neighbours.map((n) => [n.id, n.score]));
+
+      const matches = items.filter((item) => scores.has(item.id)).length;
+      if (matches < Math.min(ANN_MIN_MATCHES, items.length)) {
+        scores = await scoreItemIds(
+          storeDbId,
+          items.map((item) => item.id),
+          queryVector
+        );
+      }
+
+      return items
+        .map((item) => ({ item, score: scores.get(item.id) || 0 }))
+        .sort((a, b) => b.score - a.score);
+    } catch (err) {
+      console.error("pgvector search failed, falling back to scan:", err);
+    }
+  }
+
+  // In-process scan - load embeddings if the caller skipped them
+  const embeddings = await loadEmbeddings(storeDbId, items);
+
+  return items
+    .map((item) => ({
+      item,
+      score: cosineSimilarity(queryVector, embeddings.get(item.id)),
+    }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Map item id -> embedding, using the embeddings already on the items when
+ * present and querying them otherwise
+ */
+async function loadEmbeddings(storeDbId, items) {
+  if (items.every((item) => item.embedding !== undefined)) {
+    return new Map(items.map((item) => [item.id, item.embedding]));
+  }
+
+  const result = await pool.query(
+    `SELECT id, embedding FROM store_items WHERE store_id = $1`,
+    [storeDbId]
+  );
+  return new Map(result.rows.map((r) => [r.id, r.embedding]));
+}
+
+module.exports = {
+  initVectorStore,
+  isPgvectorAvailable,
+  scoreItems,
+};
@@ -0,0 +1,230 @@
+/**
+ * Widget Auth Service
+ *
+ * The chat widget runs on the store's website, so it can't hold a secret.
+ * Instead each store has a publishable key (pk_...) that is safe to embed.
+ * The widget exchanges it for a short-lived session token, issued only to
+ * pages on the store's own domains: the host of stores.site_url plus the
+ * license's allowed_domains.
+ *
+ * Tokens are HMAC-signed (WIDGET_TOKEN_SECRET) and bound to one store,
+ * visitor session and origin. /chat and /end-conversation reject requests
+ * without a valid token.
+ *
+ * Session ids are always created here, never taken from the client: the
+ * server keeps each session's history, so knowing an id must not be enough
+ * to read it. A visitor resumes a session by presenting its previous token.
+ */
+
+const crypto = require("crypto");
+const { pool } = require("../config/database");
+
+const TOKEN_TTL_SECONDS = parseInt(process.env.WIDGET_TOKEN_TTL) || 60 * 60;
+
+// How long after expiry a token can still be exchanged for a new one
+const RESUME_WINDOW_SECONDS =
+  parseInt(process.env.WIDGET_SESSION_RESUME_WINDOW) || 24 * 60 * 60;
+
+const TOKEN_SECRET = process.env.WIDGET_TOKEN_SECRET || createFallbackSecret();
+
+/**
+ * Without a configured secret tokens only survive until the next restart
+ */
+function createFallbackSecret() {
+  console.warn(
+    "⚠️  WIDGET_TOKEN_SECRET is not set - widget sessions end on restart"
+  );
+  return crypto.randomBytes(32).toString("hex");
+}
+
+/**
+ * Host of a URL or Origin header, lowercased and without "www."
+ * Returns null if it isn't a URL
+ */
+function normalizeHost(value) {
+  if (!value || typeof value !== "string") return null;
+  try {
+    const url = new URL(
+      /^[a-z]+:\/\//i.test(value) ? value : `https://${value}`
+    );
+    return url.hostname.toLowerCase().replace(/^www\./, "") || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether an origin belongs to the store: its site_url host or one of the
+ * allowed domains, subdomains included
+ */
+function isOriginAllowed(origin, siteUrl, allowedDomains = []) {
+  const host = normalizeHost(origin);
+  if (!host) return false;
+
+  return [siteUrl, ...(allowedDomains || [])]
+    .map(normalizeHost)
+    .filter(Boolean)
+    .some((allowed) => host === allowed || host.endsWith(`.${allowed}`));
+}
+
+function sign(payload) {
+  return crypto
+    .createHmac("sha256", TOKEN_SECRET)
+    .update(payload)
+    .digest("base64url");
+}
+
+/**
+ * Sign a session token for a store, visitor session and origin
+ *
+ * @returns {Object} { token, expires_at }
+ */
+function issueWidgetToken(storeId, sessionId, origin) {
+  const expiresAt = Math.floor(Date.now() / 1000) + TOKEN_TTL_SECONDS;
+  const payload = Buffer.from(
+    JSON.stringify({
+      store_id: storeId,
+      session_id: sessionId,
+      origin: normalizeHost(origin),
+      exp: expiresAt,
+    })
+  ).toString("base64url");
+
+  return {
+    token: `${payload}.${sign(payload)}`,
+    expires_at: new Date(expiresAt * 1000).toISOString(),
+  };
+}
+
+/**
+ * Check a token's signature, expiry and origin
+ *
+ * @param {string} token
+ * @param {string} origin - Origin header of the request
+ * @param {number} graceSeconds - Accept tokens expired this long ago
+ * @returns {Object} { valid: true, session } or { valid: false, error, message }
+ */
+function verifyWidgetToken(token, origin, graceSeconds = 0) {
+  const invalid = (error, message) => ({ valid: false, error, message });
+
+  if (!token || typeof token !== "string") {
+    return invalid("token_required", "A widget session token is required");
+  }
+
+  const [payload, signature] = token.split(".");
+  const expected = Buffer.from(payload ? sign(payload) : "");
+  const actual = Buffer.from(signature || "");
+  // Byte lengths: timingSafeEqual throws on buffers of different sizes
+  if (
+    actual.length === 0 ||
+    actual.length !== expected.length ||
+    !crypto.timingSafeEqual(actual, expected)
+  ) {
+    return invalid("invalid_token", "Invalid widget session token");
+  }
+
+  let session;
+  try {
+    session = JSON.parse(Buffer.from(payload, "base64url").toString());
+  } catch {
+    return invalid("invalid_token", "Invalid widget session token");
+  }
+
+  if ((session.exp + graceSeconds) * 1000 < Date.now()) {
+    return invalid("token_expired", "Widget session has expired");
+  }
+
+  // Browsers always send Origin on cross-site POSTs, so a token issued to
+  // one site can't be used from another
+  if (normalizeHost(origin) !== session.origin) {
+    return invalid("origin_mismatch", "Token was issued for another origin");
+  }
+
+  return {
+    valid: true,
+    session: { store_id: session.store_id, session_id: session.session_id },
+  };
+}
+
+/**
+ * Start a widget session: look up the store by publishable key, check the
+ * origin and issue a token for a new session id. With the previous token of
+ * the same store and origin (up to RESUME_WINDOW_SECONDS after it expired)
+ * the visitor keeps its session, e.g. to continue after a refresh.
+ *
+ * @returns {Object} { session } or { error: { status, body } }
+ */
+async function createWidgetSession(publishableKey, origin, previousToken) {
+  const fail = (status, error, message) => ({
+    error: { status, body: { ok: false, error, message } },
+  });
+
+  if (!publishableKey || typeof publishableKey !== "string") {
+    return fail(400, "publishable_key_required", "publishable_key is required");
+  }
+
+  const result = await pool.query(
+    `SELECT s.store_id, s.site_url, lk.allowed_domains
+     FROM stores s
+     LEFT JOIN license_keys lk ON s.license_key_id = lk.id
+     WHERE s.publishable_key = $1`,
+    [publishableKey]
+  );
+  if (result.rowCount === 0) {
+    return fail(401, "invalid_publishable_key", "Invalid publishable key");
+  }
+
+  const store = result.rows[0];
+  if (!origin) {
+    return fail(403, "origin_required", "Requests must come from a browser");
+  }
+  if (!isOriginAllowed(origin, store.site_url, store.allowed_domains)) {
+    console.log(
+      `[Widget] Origin ${origin} not allowed for store ${store.store_id}`
+    );
+    return fail(
+      403,
+      "origin_not_allowed",
+      "This site is not allowed to use the store's widget"
+    );
+  }
+
+  let session = crypto.randomUUID();
+  if (previousToken) {
+    const previous = verifyWidgetToken(
+      previousToken,
+      origin,
+      RESUME_WINDOW_SECONDS
+    );
+    if (!previous.valid) {
+      return fail(401, previous.error, previous.message);
+    }
+    if (previous.session.store_id !== store.store_id) {
+      return fail(401, "invalid_token", "Token was issued for another store");
+    }
+    session = previous.session.session_id;
+  }
+
+  const { token, expires_at } = issueWidgetToken(
+    store.store_id,
+    session,
+    origin
+  );
+
+  return {
+    session: {
+      token,
+      expires_at,
+      store_id: store.store_id,
+      session_id: session,
+    },
+  };
+}
+
+module.exports = {
+  normalizeHost,
+  isOriginAllowed,
+  issueWidgetToken,
+  verifyWidgetToken,
+  createWidgetSession,
+};
@@ -18,6 +18,13 @@ function generateApiKey() {
   return "rk_" + crypto.randomBytes(16).toString("hex");
 }
 
+/**
+ * Generate a publishable key for the chat widget
+ */
+function generatePublishableKey() {
+  return "pk_" + crypto.randomBytes(16).toString("hex");
+}
+
 /**
  * Analyze a user query to determine its type
  */
@@ -163,8 +170,46 @@ function analyzeQuery(message, history = [], userLanguage = "Swedish") {
   };
 }
 
+/**
+ * Parse a price into a number: 299, "299", "1 299,00 kr", "1,299.00",
+ * "299:-". Returns null when there's no number.
+ */
+function parsePrice(value) {
+  if (value === null || value === undefined || value === "") return null;
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+
+  let text = String(value)
+    .replace(/[^\d.,]/g, "")
+    .replace(/[.,]$/, "");
+  if (!text) return null;
+
+  // The last separator followed by 1-2 digits is the decimal point
+  const decimal = text.match(/[.,](\d{1,2})$/);
+  if (decimal) {
+    text = text.slice(0, -decimal[0].length).replace(/[.,]/g, "");
+    text = `${text}.${decimal[1]}`;
+  } else {
+    text = text.replace(/[.,]/g, "");
+  }
+
+  const amount = parseFloat(text);
+  return Number.isFinite(amount) ? amount : null;
+}
+
+/**
+ * Rough token count for budgeting prompts (~4 characters per token).
+ * Good enough for every provider we use; never exact.
+ */
+function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(String(text).length / 4);
+}
+
 module.exports = {
   generateStoreId,
   generateApiKey,
+  generatePublishableKey,
   analyzeQuery,
+  parsePrice,
+  estimateTokens,
 };
@@ -0,0 +1,95 @@
+/**
+ * Server-Sent Events Helpers
+ *
+ * Used by the streaming chat endpoint to push token deltas to the widget.
+ */
+
+/**
+ * Prepare a response for an SSE stream
+ */
+function initSse(res) {
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  // Disable proxy buffering (nginx) so deltas reach the browser immediately
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders?.();
+}
+
+/**
+ * Write a single named event with a JSON payload
+ */
+function sendSseEvent(res, event, data) {
+  if (res.writableEnded || res.destroyed) return;
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Create a stripper that removes {{Title}} card tags from streamed text.
+ *
+ * Text that could still turn into a tag (an open "{{", a trailing "{" or
+ * whitespace in front of a possible tag) is held back until the next chunk
+ * decides it. Output matches `text.replace(/\s*\{\{[^}]+\}\}/g, "").trim()`
+ * for the fully assembled text, except that an unterminated tag at the very
+ * end is dropped instead of shown.
+ */
+function createTagStripper() {
+  let buffer = "";
+  let started = false;
+
+  function emit(text) {
+    if (!started) {
+      text = text.replace(/^\s+/, "");
+      if (text) started = true;
+    }
+    return text;
+  }
+
+  return {
+    push(chunk) {
+      buffer += chunk || "";
+      let output = "";
+
+      while (buffer.length > 0) {
+        const tagStart = buffer.indexOf("{{");
+
+        if (tagStart === -1) {
+          // Hold back trailing whitespace and a lone "{" - a tag may follow
+          const holdFrom = buffer.search(/\s*\{?$/);
+          output += buffer.slice(0, holdFrom);
+          buffer = buffer.slice(holdFrom);
+          break;
+        }
+
+        const before = buffer.slice(0, tagStart).replace(/\s+$/, "");
+        const tagEnd = buffer.indexOf("}}", tagStart + 2);
+
+        if (tagEnd === -1) {
+          // Tag not closed yet - emit what precedes it and wait
+          output += before;
+          buffer = buffer.slice(before.length);
+          break;
+        }
+
+        output += before;
+        buffer = buffer.slice(tagEnd + 2);
+      }
+
+      return emit(output);
+    },
+
+    flush() {
+      const rest = buffer.replace(/\s*\{\{[^}]*$/, "").replace(/\s+$/, "");
+      buffer = "";
+      return emit(rest);
+    },
+  };
+}
+
+module.exports = {
+  initSse,
+  sendSseEvent,
+  createTagStripper,
+};